@@ -0,0 +1,229 @@
+const matching = require("./matching");
+const { sourceOf } = require("./building");
+const { sampleTexts, toRegExp } = require("./simulation");
+
+/** @typedef {import("./analysis.types").AnalysisKind} AnalysisKind */
+/** @typedef {import("./analysis.types").AnalysisFinding} AnalysisFinding */
+/** @typedef {import("./analysis.types").AnalysisOptions} AnalysisOptions */
+
+/**
+ * The entries built from one `TLG.BuildableEntry`, which all share the same keys.
+ * 
+ * @typedef KeyedEntry
+ * @prop {string} name
+ * @prop {string | undefined} parent
+ * @prop {string[]} displayNames
+ * @prop {string[]} keys
+ * @prop {string[]} vocabulary
+ */
+
+/**
+ * The default `AnalysisOptions`.
+ * 
+ * @type {AnalysisOptions}
+ */
+const analysisDefaults = {
+  samples: 200,
+  coActivation: 0.9
+};
+
+/** Words mixed into the sample texts, so that not every text has a match. */
+const fillerWords = ["the", "and", "was", "then"];
+
+/**
+ * Gets the words that the keys of an entry look for, to build sample texts from.  For
+ * entries that were not built by `buildEntries`, only the plain keys are known.
+ * 
+ * @param {NAI.LoreEntry} entry
+ * @returns {string[]}
+ */
+const vocabularyOf = (entry) => {
+  const phrases = sourceOf(entry)?.phrases;
+  if (!phrases) return entry.keys.filter((key) => !matching.isNaiRegex(key)).map((key) => key.trim());
+
+  /** @type {Set<string>} */
+  const words = new Set();
+  for (const phrase of phrases) {
+    for (const [node] of matching.walk(phrase)) {
+      if (node.type !== "word") continue;
+      words.add(node.word);
+      for (const form of node.forms ?? []) words.add(form);
+    }
+  }
+  return [...words];
+};
+
+/**
+ * Groups the entries of a lorebook by the `TLG.BuildableEntry` they were built from,
+ * which gave them the same name and keys.  Entries that were not built by
+ * `buildEntries` are each treated as a root entry.
+ * 
+ * @param {NAI.LoreEntry[]} entries
+ * @returns {KeyedEntry[]}
+ */
+const groupEntries = (entries) => {
+  /** @type {Map<string, KeyedEntry>} */
+  const groups = new Map();
+  for (const entry of entries) {
+    const source = sourceOf(entry);
+    const name = source?.name ?? entry.displayName;
+    const groupKey = [name, ...entry.keys].join("\0");
+    const existing = groups.get(groupKey);
+    if (existing) {
+      existing.displayNames.push(entry.displayName);
+      continue;
+    }
+    groups.set(groupKey, {
+      name,
+      parent: source?.parent,
+      displayNames: [entry.displayName],
+      keys: entry.keys,
+      vocabulary: vocabularyOf(entry)
+    });
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Finds which of the texts a list of keys matches.
+ * 
+ * @param {string[]} keys
+ * @param {string[]} texts
+ * @returns {Set<number>}
+ */
+const matchesOf = (keys, texts) => {
+  const regexes = keys.map(toRegExp);
+  /** @type {Set<number>} */
+  const matched = new Set();
+  texts.forEach((text, i) => {
+    if (regexes.some((regex) => { regex.lastIndex = 0; return regex.test(text); }))
+      matched.add(i);
+  });
+  return matched;
+};
+
+/**
+ * Compares where the keys of two entries match, on sample texts made from the words
+ * of both.
+ * 
+ * @param {KeyedEntry} a
+ * @param {KeyedEntry} b
+ * @param {number} samples
+ * @returns {{ onlyA: number, onlyB: number, both: number }}
+ */
+const compareKeys = (a, b, samples) => {
+  const vocabulary = [...new Set([...a.vocabulary, ...b.vocabulary, ...fillerWords])];
+  const texts = sampleTexts({ vocabulary, count: samples });
+  const matchesA = matchesOf(a.keys, texts);
+  const matchesB = matchesOf(b.keys, texts);
+
+  let both = 0;
+  for (const i of matchesA) if (matchesB.has(i)) both += 1;
+  return { onlyA: matchesA.size - both, onlyB: matchesB.size - both, both };
+};
+
+/**
+ * Analyzes the entries of a lorebook for problems that come from combining the work of
+ * several writers, which otherwise only show up as confusing context later.
+ * 
+ * - `"duplicate-name"` - Entries with the same display name.
+ * - `"duplicate-text"` - The same text under different display names.
+ * - `"broader-keys"` - Entries whose keys match everywhere a sibling's do, and more.
+ * - `"same-keys"` - Siblings whose keys match in all the same places.
+ * - `"co-activation"` - Root entries whose keys match in almost all the same places.
+ * 
+ * Keys are compared by matching them against sample texts made from the words in both
+ * entries' phrases, so keys that differ only in rare cases may not be told apart.  Only
+ * entries built by `buildEntries` are known to be siblings; other entries are all
+ * treated as root entries, and only their plain keys give words for the samples.
+ * 
+ * @param {NAI.LoreBook} lorebook
+ * @param {Partial<AnalysisOptions>} [options]
+ * @returns {AnalysisFinding[]}
+ */
+exports.analyze = (lorebook, options) => {
+  const { samples, coActivation } = { ...analysisDefaults, ...options };
+  const { entries } = lorebook;
+
+  /** @type {AnalysisFinding[]} */
+  const findings = [];
+  /** @type {(kind: AnalysisKind, displayNames: string[], message: string) => void} */
+  const report = (kind, displayNames, message) => { findings.push({ kind, displayNames, message }); };
+
+  /** @type {Map<string, NAI.LoreEntry[]>} */
+  const byName = new Map();
+  /** @type {Map<string, string[]>} */
+  const byText = new Map();
+  for (const entry of entries) {
+    byName.set(entry.displayName, [...(byName.get(entry.displayName) ?? []), entry]);
+    const text = entry.text.trim();
+    if (!text) continue;
+    const names = byText.get(text) ?? [];
+    if (!names.includes(entry.displayName)) byText.set(text, [...names, entry.displayName]);
+  }
+
+  for (const [displayName, named] of byName) {
+    if (named.length < 2) continue;
+    report("duplicate-name", [displayName], `${named.length} entries are named "${displayName}", so they cannot be told apart.`);
+  }
+
+  for (const displayNames of byText.values()) {
+    if (displayNames.length < 2) continue;
+    const listed = displayNames.map((displayName) => `"${displayName}"`).join(", ");
+    report("duplicate-text", displayNames, `The entries ${listed} have the same text.`);
+  }
+
+  /** @type {Map<string | undefined, KeyedEntry[]>} */
+  const siblings = new Map();
+  for (const keyed of groupEntries(entries)) {
+    if (keyed.keys.length === 0) continue;
+    siblings.set(keyed.parent, [...(siblings.get(keyed.parent) ?? []), keyed]);
+  }
+
+  for (const [parent, group] of siblings) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const { onlyA, onlyB, both } = compareKeys(group[i], group[j], samples);
+        if (both === 0) continue;
+        const [a, b] = [group[i], group[j]];
+
+        if (onlyA === 0 && onlyB === 0) {
+          report("same-keys", [...a.displayNames, ...b.displayNames], [
+            `The keys of "${a.name}" and "${b.name}" match in all the same places,`,
+            "so they always activate together."
+          ].join(" "));
+          continue;
+        }
+
+        if ((onlyA === 0) !== (onlyB === 0)) {
+          const [broader, narrower] = onlyB === 0 ? [a, b] : [b, a];
+          const relation = parent === undefined ? "the root entry" : "its sibling";
+          report("broader-keys", [...broader.displayNames, ...narrower.displayNames], [
+            `The keys of "${broader.name}" match everywhere those of ${relation} "${narrower.name}" do,`,
+            `and more, so "${narrower.name}" only activates alongside it.`
+          ].join(" "));
+          continue;
+        }
+
+        // Sub-entries share the keys of their parent, so only root entries are checked.
+        if (parent !== undefined) continue;
+        const overlap = both / (onlyA + onlyB + both);
+        if (overlap < coActivation) continue;
+        report("co-activation", [...a.displayNames, ...b.displayNames], [
+          `The keys of "${a.name}" and "${b.name}" matched together in ${Math.round(overlap * 100)}%`,
+          "of the samples where either did, so they will almost always activate together."
+        ].join(" "));
+      }
+    }
+  }
+
+  return findings;
+};
+
+/**
+ * Formats a finding as a single line of text.
+ * 
+ * @param {AnalysisFinding} finding
+ * @returns {string}
+ */
+exports.formatFinding = (finding) => `[${finding.kind}] ${finding.message}`;
\ No newline at end of file
@@ -0,0 +1,49 @@
+export type AnalysisKind
+  /** Several entries have the same display name. */
+  = "duplicate-name"
+  /** Entries with different display names have the same text. */
+  | "duplicate-text"
+  /**
+   * An entry's keys match everywhere a sibling's do, and more, so the sibling activates
+   * only alongside it.
+   */
+  | "broader-keys"
+  /**
+   * The keys of two siblings match in all the same places, so they always activate
+   * together.
+   */
+  | "same-keys"
+  /** The keys of two root entries match in almost all the same places. */
+  | "co-activation";
+
+export interface AnalysisFinding {
+  /** The kind of problem that was found. */
+  kind: AnalysisKind;
+
+  /**
+   * The display names of the entries involved.  For `"broader-keys"`, the entry with
+   * the broader keys comes first.
+   */
+  displayNames: string[];
+
+  /** A description of the problem. */
+  message: string;
+}
+
+export interface AnalysisOptions {
+  /**
+   * The number of sample texts used to compare the keys of each pair of entries.  More
+   * samples find more differences between keys, but take longer.
+   * 
+   * Defaults to `200`.
+   */
+  samples: number;
+
+  /**
+   * How much two root entries must overlap to be reported as co-activating: the share
+   * of the samples that activate either entry that activate both.
+   * 
+   * Defaults to `0.9`.
+   */
+  coActivation: number;
+}
\ No newline at end of file
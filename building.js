@@ -1,7 +1,8 @@
-const { dew, ident, asArray, is } = require("./utils");
+const { dew, ident, asArray, is, dropUndefProps, stableId } = require("./utils");
 const { chain, iterReverse, iterPosition } = require("./utils/iterables");
 const DEFAULTS = require("./strategies/_naiDefaults");
 const matching = require("./matching");
+const optimization = require("./optimization");
 
 /**
  * The default `BuilderSettings`.
@@ -9,13 +10,71 @@ const matching = require("./matching");
  * @type {TLG.BuilderSettings}
  */
 const tlgBuilderConfigDefaults = {
-  reversedTextIteration: false
+  reversedTextIteration: false,
+  optimizeKeys: false,
+  lint: false,
+  unicode: false,
+  inlineModifiers: false,
+  lorebookVersion: 2
 };
 
+/**
+ * What each version of the lorebook format can hold.
+ * 
+ * @type {Record<NAI.LoreBookVersion, { ids: boolean, categories: boolean, biasGroups: boolean }>}
+ */
+const formatFeatures = {
+  2: { ids: false, categories: false, biasGroups: false },
+  3: { ids: true, categories: true, biasGroups: false },
+  4: { ids: true, categories: true, biasGroups: true }
+};
+
+/** The `type` of a `NAI.BiasPhrase` given as text. */
+const biasTextType = 3;
+
+/**
+ * The newest version of the lorebook format that can be built.
+ * 
+ * @type {NAI.LoreBookVersion}
+ */
+exports.latestLorebookVersion = 4;
+
+/**
+ * Associates each built `NAI.LoreEntry` with information about how it was built.
+ * 
+ * @type {WeakMap<NAI.LoreEntry, TLG.EntrySource>}
+ */
+const entrySources = new WeakMap();
+
+/**
+ * Gets information about how a `NAI.LoreEntry` was built, such as the phrases its
+ * keys were rendered from.  Only entries created by `buildEntries` have this.
+ * 
+ * @param {NAI.LoreEntry} entry
+ * @returns {TLG.EntrySource | undefined}
+ */
+exports.sourceOf = (entry) => entrySources.get(entry);
+
+/**
+ * Associates each entry from `entriesByText` with the index of the text it was made
+ * from, which the display name does not give for entries with only one text.
+ * 
+ * @type {WeakMap<NAI.LoreEntry, number>}
+ */
+const textIndices = new WeakMap();
+
+/** @typedef {Required<Omit<TLG.BuildableEntryConfig, "category">> & Pick<TLG.BuildableEntryConfig, "category">} EntryDefaults */
+/**
+ * The defaults for an entry, along with its `idPath`: the `id`, or else the name, of
+ * each of its ancestors and itself, and the full name of its parent, if it has one.
+ * 
+ * @typedef {EntryDefaults & { idPath: string[], parentName?: string }} EntryInput
+ */
+
 /**
  * The default `BuildableEntryConfig` for `BuildableEntry`.
  * 
- * @type {Required<TLG.BuildableEntryConfig>}
+ * @type {EntryDefaults}
  */
 const tlgBuildableDefaults = {
   strategy: require("./strategies/fixed").Fixed({}),
@@ -78,7 +137,9 @@ exports.entriesByText = (name, state, input) => {
     .thru(state.reversedTextIteration ? iterReverse : ident)
     .map(([i, text]) => {
       const displayName = textCount === 1 ? name : `${name} (${i + 1} of ${textCount})`;
-      return { ...entryConfig, displayName, text, keys, contextConfig };
+      const builtEntry = { ...entryConfig, displayName, text, keys, contextConfig };
+      textIndices.set(builtEntry, i);
+      return builtEntry;
     })
     .value();
   
@@ -94,8 +155,11 @@ exports.entriesByText = (name, state, input) => {
  * @param {any} input.config
  * @param {NAI.ContextConfig} input.context
  * @param {TLG.Matching.PhraseOperator} input.subOp
+ * @param {TLG.Category | undefined} input.category
  * @param {TLG.BuildableEntry[]} input.entries
  * @param {TLG.Matching.PhraseOperand[]} input.keys
+ * @param {TLG.BiasGroup[]} input.bias
+ * @param {string[]} input.idPath
  * @returns {{ entries: Iterable<NAI.LoreEntry> }}
  */
 exports.entriesByChildren = (name, state, input) => {
@@ -114,30 +178,33 @@ exports.entriesByChildren = (name, state, input) => {
 
   const nextConfig = strategy.extend(intermediateState, input.config);
   const nextState = {
+    ...state,
     context: strategy.context(intermediateState, nextConfig),
     entry: strategy.entry(intermediateState, nextConfig),
     strategyStack: [...state.strategyStack, strategy],
-    depth: state.depth + 1,
-    reversedTextIteration: state.reversedTextIteration
+    depth: state.depth + 1
   };
-  const childEntryConfig = { strategy, subOp: input.subOp };
+  const childEntryConfig = { strategy, subOp: input.subOp, category: input.category };
 
   const entriesOut = chain(input.entries)
     .map((subEntry) => {
       const {
         name: childName,
         baseKeys: childBaseKeys = ident,
+        baseBias: childBaseBias = ident,
         ...restOfEntry
       } = subEntry;
   
-      return {
+      const newEntry = {
         baseOp: input.subOp,
         ...restOfEntry,
         name: `${name} - ${childName}`,
-        baseKeys: is.function(childBaseKeys) ? childBaseKeys(input.keys) : childBaseKeys
+        baseKeys: is.function(childBaseKeys) ? childBaseKeys(input.keys) : childBaseKeys,
+        baseBias: is.function(childBaseBias) ? childBaseBias(input.bias) : childBaseBias
       };
+      const idPath = [...input.idPath, subEntry.id ?? childName];
+      return exports.yieldEntries(newEntry, nextState, { ...childEntryConfig, idPath, parentName: name });
     })
-    .map((newEntry) => exports.yieldEntries(newEntry, nextState, childEntryConfig))
     .flatten()
     .value();
 
@@ -148,11 +215,14 @@ exports.entriesByChildren = (name, state, input) => {
  * 
  * @param {TLG.BuildableEntry} entry
  * @param {TLG.Config.State} state
- * @param {Required<TLG.BuildableEntryConfig>} defaultsForEntry
+ * @param {EntryInput} defaultsForEntry
  * @returns {Iterable<NAI.LoreEntry>}
  */
 exports.yieldEntries = function*(entry, state, defaultsForEntry) {
-  const { subOp: defOp, strategy: defStrategy } = defaultsForEntry;
+  const {
+    subOp: defOp, strategy: defStrategy, category: defCategory,
+    idPath, parentName
+  } = defaultsForEntry;
 
   const {
     name,
@@ -160,11 +230,16 @@ exports.yieldEntries = function*(entry, state, defaultsForEntry) {
     baseOp = defOp,
     baseKeys = [],
     keys: givenKeys,
+    baseBias = [],
+    bias: givenBias = [],
     text: givenText = [],
     subOp = baseOp,
     subEntries: childEntries = []
   } = entry;
 
+  // An entry's own strategy can place it in a different category than its parent.
+  const category = entry.category ?? entry.strategy?.config.category ?? defCategory;
+
   const composedKeys = dew(() => {
     // When a function is provided for a root entry, it can still be a function.
     // In all other cases, we'll have converted it to an array when constructing
@@ -173,8 +248,23 @@ exports.yieldEntries = function*(entry, state, defaultsForEntry) {
     return [...exports.yieldChildKeys(theBaseKeys, baseOp, givenKeys)]
   });
 
+  // Like the keys, the bias groups of a root entry may still be a function.
+  const composedBias = [...(is.function(baseBias) ? baseBias([]) : baseBias), ...givenBias];
+  const biasGroups = composedBias.map((group) => exports.toLoreBiasGroup(group, name));
+
   const text = asArray(givenText);
-  const keys = composedKeys.map((key) => matching.asEscaped(key).toNAI());
+  const phrases = composedKeys.map((key) => matching.asEscaped(key));
+  const renderOptions = { unicode: state.unicode, inlineModifiers: state.inlineModifiers };
+  const keys = phrases.map((phrase) => {
+    if (!state.optimizeKeys) return phrase.toNAI(renderOptions);
+    return optimization.optimize(phrase, renderOptions).phrase.toNAI();
+  });
+
+  const keyStats = optimization.sumStats(dew(() => {
+    const after = keys.map((key) => key.length);
+    if (!state.optimizeKeys) return after.map((length) => ({ before: length, after: length }));
+    return phrases.map((phrase, i) => ({ before: phrase.toNAI(renderOptions).length, after: after[i] }));
+  }));
 
   // Get strategy configuration.
   const curConfig = strategy.apply(state, strategy.config);
@@ -186,31 +276,152 @@ exports.yieldEntries = function*(entry, state, defaultsForEntry) {
   });
 
   const byChildren = exports.entriesByChildren(name, state, {
-    strategy, subOp,
+    strategy, subOp, category,
     config: curConfig,
     context: byText.context,
     entries: childEntries,
-    keys: composedKeys
+    keys: composedKeys,
+    bias: composedBias,
+    idPath
   });
 
+  const textEntries = chain(byText.entries)
+    .tap((builtEntry) => entrySources.set(builtEntry, dew(() => {
+      const id = stableId("entry", ...idPath, String(textIndices.get(builtEntry) ?? 0));
+      /** @type {TLG.EntrySource} */
+      const source = { name, id, phrases, keyStats };
+      if (parentName !== undefined) source.parent = parentName;
+      if (category) source.category = exports.toCategoryConfig(category);
+      if (biasGroups.length > 0) source.biasGroups = biasGroups;
+      return source;
+    })))
+    .value();
+
   if (state.reversedTextIteration) {
     yield* byChildren.entries;
-    yield* byText.entries;
+    yield* textEntries;
   }
   else {
-    yield* byText.entries;
+    yield* textEntries;
     yield* byChildren.entries;
   }
 };
 
 /**
+ * Converts a `TLG.BiasGroup` into the `NAI.LoreBiasGroup` it is output as.  Throws a
+ * `TypeError` if any of its phrases cannot be written out as text.
+ * 
+ * @param {TLG.BiasGroup} group
+ * @param {string} name
+ * The name of the entry the group is for, for the error message.
+ * @returns {NAI.LoreBiasGroup}
+ */
+exports.toLoreBiasGroup = (group, name) => {
+  const { phrases, strength, whenInactive = false, ensureSequenceFinish = false } = group;
+
+  const sequences = phrases.flatMap((phrase) => {
+    const literals = matching.literalsOf(phrase);
+    if (literals) return literals;
+    const shown = matching.asEscaped(phrase).toString();
+    throw new TypeError(`The bias phrase \`${shown}\` of "${name}" must be made only of words.`);
+  });
+
+  return {
+    ...DEFAULTS.biasGroupDefaults,
+    phrases: [...new Set(sequences)].map((sequence) => ({ sequence, type: biasTextType })),
+    bias: strength,
+    whenInactive,
+    ensureSequenceFinish
+  };
+};
+
+/**
+ * Converts a `TLG.Category` into its configuration.
+ * 
+ * @param {TLG.Category} category
+ * @returns {TLG.CategoryConfig}
+ */
+exports.toCategoryConfig = (category) => is.string(category) ? { name: category } : category;
+
+/**
+ * Combines the settings given for each category into one configuration per category,
+ * in the order they were first used.  Throws if a category was given conflicting
+ * settings.
+ * 
+ * @param {Iterable<TLG.CategoryConfig>} configs
+ * @returns {TLG.CategoryConfig[]}
+ */
+const combineCategories = (configs) => {
+  /** @type {Map<string, TLG.CategoryConfig>} */
+  const combined = new Map();
+  for (const config of configs) {
+    const { name } = config;
+    const existing = combined.get(name);
+    for (const [prop, value] of Object.entries(config)) {
+      const prevValue = existing?.[/** @type {keyof TLG.CategoryConfig} */ (prop)];
+      if (value === undefined || prevValue === undefined) continue;
+      if (JSON.stringify(prevValue) !== JSON.stringify(value))
+        throw new Error(`The category "${name}" was given conflicting settings for \`${prop}\`.`);
+    }
+    combined.set(name, { ...existing, ...dropUndefProps(config), name });
+  }
+  return [...combined.values()];
+};
+
+/**
+ * Creates a `NAI.LoreCategory` from its configuration.
+ * 
+ * @param {TLG.CategoryConfig} config
+ * @param {{ biasGroups: boolean }} features
+ * @returns {NAI.LoreCategory}
+ */
+const toLoreCategory = (config, features) => {
+  const { name, enabled = true, subcontext } = config;
+
+  /** @type {(purpose: string, context?: Partial<NAI.ContextConfig>) => NAI.LoreEntry} */
+  const settingsEntry = (purpose, context) => ({
+    ...DEFAULTS.entryDefaults,
+    id: stableId("category", name, purpose),
+    displayName: name,
+    text: "",
+    keys: [],
+    contextConfig: { ...DEFAULTS.contextDefaults, ...context }
+  });
+
+  /** @type {NAI.LoreCategory} */
+  const category = {
+    name,
+    id: stableId("category", name),
+    enabled,
+    createSubcontext: Boolean(subcontext),
+    subcontextSettings: settingsEntry("subcontext", subcontext),
+    useCategoryDefaults: false,
+    categoryDefaults: settingsEntry("defaults")
+  };
+  if (features.biasGroups) category.categoryBiasGroups = [];
+  return category;
+};
+
+/**
+ * Builds a lorebook from a `TLG.BuilderConfig`.
+ * 
+ * The whole configuration is checked before anything is built; a `ConfigError` listing
+ * every problem is thrown if there are any.  See `Validating.validateConfig`.
  * 
  * @param {TLG.BuilderConfig} config
- * @returns {NAI.LoreBook & TLG.WithDisplay}
+ * @returns {NAI.LoreBook & TLG.WithDisplay & TLG.WithReport}
  */
 exports.buildEntries = (config) => {
+  // Check everything first, so mistakes are reported where they were made.
+  const { validateConfig, ConfigError } = require("./validating");
+  const problems = validateConfig(config);
+  if (problems.length > 0) throw new ConfigError(problems);
+
   const { entries: rootEntries, settings: givenSettings, ...restConfig } = config;
-  const initEntryConfig = { ...tlgBuildableDefaults, ...restConfig };
+  const initEntryConfig = dew(() => {
+    const { category = restConfig.strategy?.config.category } = restConfig;
+    return { ...tlgBuildableDefaults, ...restConfig, category };
+  });
 
   const resolvedSettings = {
     ...DEFAULTS.lorebookDefaults,
@@ -218,7 +429,16 @@ exports.buildEntries = (config) => {
     ...givenSettings
   };
 
-  const { reversedTextIteration, ...settings } = resolvedSettings;
+  // Separate the settings for the builder from those of the lorebook.
+  const {
+    reversedTextIteration, optimizeKeys, lint, unicode, inlineModifiers, lorebookVersion,
+    ...settings
+  } = resolvedSettings;
+  const builderSettings = {
+    reversedTextIteration, optimizeKeys, lint, unicode, inlineModifiers, lorebookVersion
+  };
+  const features = formatFeatures[lorebookVersion];
+  if (!features) throw new TypeError(`Unsupported lorebook version: ${lorebookVersion}`);
 
   // Build the initial `context` and `entry` using the strategy.
   const { context, entry } = dew(() => {
@@ -230,7 +450,7 @@ exports.buildEntries = (config) => {
       entry: { ...DEFAULTS.entryDefaults },
       strategyStack: [],
       depth: 0,
-      reversedTextIteration
+      ...builderSettings
     };
 
     const config = strategy.apply(state, strategy.config);
@@ -245,20 +465,113 @@ exports.buildEntries = (config) => {
     entry: { ...DEFAULTS.entryDefaults, ...entry },
     strategyStack: [],
     depth: 0,
-    reversedTextIteration
+    ...builderSettings
   };
   
-  const entries = rootEntries.flatMap(
-    (entry) => [...exports.yieldEntries(entry, initState, initEntryConfig)]
+  const builtEntries = rootEntries.flatMap(
+    (entry) => [...exports.yieldEntries(entry, initState, { ...initEntryConfig, idPath: [entry.id ?? entry.name] })]
   );
 
+  /** @type {string[]} */
+  const warnings = [];
+
+  // Entries that share an id cannot be told apart when the lorebook is imported again,
+  // so each repeat gets a numbered id that depends on its order instead.
+  const entryIds = dew(() => {
+    /** @type {Map<string, string>} */
+    const firstNames = new Map();
+    /** @type {Map<string, number>} */
+    const repeats = new Map();
+    return builtEntries.map((builtEntry) => {
+      const { displayName } = builtEntry;
+      const id = entrySources.get(builtEntry)?.id ?? stableId("entry", displayName);
+      const firstName = firstNames.get(id);
+      if (firstName === undefined) {
+        firstNames.set(id, displayName);
+        return id;
+      }
+
+      const repeat = (repeats.get(id) ?? 1) + 1;
+      repeats.set(id, repeat);
+      if (features.ids) warnings.push([
+        `The entry "${displayName}" has the same id as "${firstName}";`,
+        "give one of them a different `id` so it stays linked when imported again."
+      ].join(" "));
+      return stableId("entry", id, String(repeat));
+    });
+  });
+
+  // Newer versions of the format give each entry an id, its category and its bias groups.
+  const entries = builtEntries.map((builtEntry, i) => {
+    const source = entrySources.get(builtEntry);
+    const biasGroups = source?.biasGroups ?? [];
+    // Bias groups given as arrays are reported by `validateConfig`; only those that came
+    // from a `baseBias` function can still get here.
+    if (biasGroups.length > 0 && !features.biasGroups) {
+      const message = `The entry "${builtEntry.displayName}" has bias groups, which need a \`lorebookVersion\` of 4 or later.`;
+      throw new TypeError(message);
+    }
+    if (!features.ids) return builtEntry;
+
+    /** @type {NAI.LoreEntry} */
+    const formatted = { ...builtEntry, id: entryIds[i] };
+    if (features.categories)
+      formatted.category = source?.category ? stableId("category", source.category.name) : "";
+    if (features.biasGroups) formatted.loreBiasGroups = biasGroups;
+    if (source) entrySources.set(formatted, source);
+    return formatted;
+  });
+
   /** @type {NAI.LoreBook} */
-  const result = { lorebookVersion: 2, settings, entries };
+  const result = dew(() => {
+    if (!features.categories) return { lorebookVersion, settings, entries };
+
+    const categories = combineCategories(chain(entries)
+      .map((builtEntry) => entrySources.get(builtEntry)?.category)
+      .filter(Boolean)
+      .value());
+    return { lorebookVersion, settings, entries, categories: categories.map((category) => toLoreCategory(category, features)) };
+  });
 
   return {
     ...result,
     forDisplay() {
       return require("./utils").outputLorebook(result);
+    },
+    report(reportOptions = {}) {
+      const sources = chain(entries)
+        .map((builtEntry) => entrySources.get(builtEntry))
+        .filter(Boolean)
+        .toArray();
+
+      const explanations = dew(() => {
+        if (!reportOptions.explain) return undefined;
+        return entries.map((builtEntry) => {
+          const phrases = entrySources.get(builtEntry)?.phrases ?? [];
+          const keys = builtEntry.keys.map((key, i) => {
+            const phrase = phrases[i];
+            return { key, explanation: phrase ? matching.explain(phrase) : key };
+          });
+          return { displayName: builtEntry.displayName, keys };
+        });
+      });
+
+      // Losing case-sensitivity is always reported, as the keys will not match as written.
+      const lintWarnings = require("./linting").lint(result, typeof lint === "object" ? lint : {})
+        .filter((warning) => lint || warning.rule === "case-sensitivity-lost");
+
+      const analysis = dew(() => {
+        if (!reportOptions.analyze) return undefined;
+        return require("./analysis").analyze(result);
+      });
+
+      return {
+        optimization: optimization.sumStats(sources.map((source) => source.keyStats)),
+        lint: lintWarnings,
+        warnings,
+        explanations,
+        analysis
+      };
     }
   }
 };
\ No newline at end of file
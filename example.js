@@ -1,6 +1,7 @@
 const { getName, saveLorebook } = require("./utils");
 const matching = require("./matching");
 const { buildEntries } = require("./building");
+const { formatWarning } = require("./linting");
 const { DepthDelta } = require("./strategies/depthDelta");
 
 // This is a very basic example of how to use this script to produce a lorebook with fairly
@@ -19,7 +20,10 @@ const { DepthDelta } = require("./strategies/depthDelta");
  * - `PRE` creates a prefix phrase, meaning the start of the string must match.
  * - `POST` creates a postfix phrase, meaning the end of the string must match.
  * - `OPEN` creates a phrase that will match any part of a word; it is open-ended.
- * - `REGEX` creates a phrase from a NovelAI regular-expression string, discarding flags.
+ * - `WORD` creates an exact-match phrase that also matches the plural and verb forms of a word,
+ *   like "wolves" for "wolf".
+ * - `REGEX` creates a phrase from a NovelAI regular-expression string; without the `i` flag, it
+ *   is case-sensitive.  Use `CASE_SENSITIVE` to make any phrase case-sensitive.
  * 
  * If you provide a raw string into an entry's `keys`, it will default to using `PRE`, so using
  * that helper directly is seldom necessary.
@@ -315,6 +319,12 @@ const loreBook = buildEntries({
   ]
 });
 
+// The build's report lists anything that may need fixing, like keys that could not keep
+// their case-sensitivity.
+const { lint, warnings } = loreBook.report();
+for (const warning of lint) console.warn(formatWarning(warning));
+for (const warning of warnings) console.warn(warning);
+
 // This all just writes the output to the filesystem.
 // It will use the name `example.lorebook`, since this file is called `example.js`.
 saveLorebook(getName(__filename), loreBook);
\ No newline at end of file
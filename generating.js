@@ -0,0 +1,732 @@
+const { dew, is } = require("./utils");
+const matching = require("./matching");
+const { inflect } = require("./morphology");
+const { DepthDelta } = require("./strategies/depthDelta");
+const ScaffoldModule = require("./strategies/scaffold");
+const { importLorebook } = require("./importing");
+
+/** @typedef {import("./generating.types").GenerateOptions} GenerateOptions */
+/** @typedef {import("./generating.types").SharedKeys} SharedKeys */
+/** @typedef {import("./importing.types").ImportOptions} ImportOptions */
+/** @typedef {import("./strategies/scaffold.types").StrategyFn} StrategyFn */
+/** @typedef {TLG.Config.Strategy<string, any>} AnyStrategy */
+
+/**
+ * The default `GenerateOptions`.
+ * 
+ * @type {GenerateOptions}
+ */
+const generateDefaults = {
+  libraryPath: ".",
+  maxLineLength: 100
+};
+
+/** One level of indentation in the generated source. */
+const indentUnit = "  ";
+
+/** Matches a property name that does not need to be quoted. */
+const reIdentifier = /^[A-Za-z_$][\w$]*$/;
+
+/** The operators that have no options, so they can be used by name. */
+const simpleOperators = new Set([
+  "AND", "EXCLUDING", "WITH", "WITHOUT",
+  "IN_SENTENCE", "NOT_IN_SENTENCE", "IN_PARAGRAPH", "NOT_IN_PARAGRAPH"
+]);
+
+/** The order the phrase helpers are exported in, for sorting the generated imports. */
+const matchingOrder = Object.keys(matching);
+
+/**
+ * The operators exported by `Matching`, so an operator used as a `subOp` or `baseOp`
+ * can be written by its name.
+ * 
+ * @type {Map<Function, string>}
+ */
+const operatorNames = dew(() => {
+  /** @type {Map<Function, string>} */
+  const result = new Map();
+  for (const [name, value] of Object.entries(matching))
+    if (/^[A-Z_]+$/.test(name) && is.function(value)) result.set(value, name);
+  return result;
+});
+
+/** The strategies in `Scaffold`, by name. */
+const scaffoldKinds = /** @type {Array<[string, StrategyFn]>} */ (Object.entries(ScaffoldModule)
+  .filter(([name, value]) => name !== "strategyBuilder" && is.function(value)));
+
+/**
+ * Prints a value that has no phrases or strategies in it on a single line.
+ * 
+ * @param {unknown} value
+ * @returns {string}
+ */
+const printLiteral = (value) => {
+  if (value === undefined) return "undefined";
+  if (is.array(value)) return `[${value.map(printLiteral).join(", ")}]`;
+  if (is.pojo(value)) {
+    const props = Object.entries(value)
+      .filter(([, propValue]) => propValue !== undefined)
+      .map(([key, propValue]) => `${printProp(key)}: ${printLiteral(propValue)}`);
+    return props.length === 0 ? "{}" : `{ ${props.join(", ")} }`;
+  }
+  if (is.function(value) || is.object(value))
+    throw new TypeError(`Cannot generate source for the value: ${String(value)}`);
+  return JSON.stringify(value);
+};
+
+/**
+ * Prints the name of a property, quoting it if needed.
+ * 
+ * @param {string} key
+ * @returns {string}
+ */
+const printProp = (key) => reIdentifier.test(key) ? key : JSON.stringify(key);
+
+/**
+ * Prints a call to one of the phrase operators, leaving off the trailing arguments
+ * that have their default values.  If `bare` is set and no arguments remain, only
+ * the name is printed, as an operator that takes options can be used as-is.
+ * 
+ * @param {string} name
+ * @param {Array<[unknown, unknown]>} args
+ * The value and default of each argument.
+ * @param {boolean} [bare]
+ * @returns {string}
+ */
+const printOperatorCall = (name, args, bare = false) => {
+  const given = [...args];
+  while (given.length > 0) {
+    const [value, defaultValue] = given[given.length - 1];
+    if (printLiteral(value) !== printLiteral(defaultValue)) break;
+    given.pop();
+  }
+  if (bare && given.length === 0) return name;
+  return `${name}(${given.map(([value]) => printLiteral(value)).join(", ")})`;
+};
+
+/**
+ * Converts the `range` option of an operator back into the argument it was given as.
+ * 
+ * @param {[number, number]} range
+ * @returns {number | [number, number]}
+ */
+const rangeArg = ([lo, hi]) => lo === 0 ? hi : [lo, hi];
+
+/**
+ * For the operators that take options, prints the operator with those options, as it
+ * would be given to `EXP` or used as a `subOp`.
+ * 
+ * @type {Record<string, (options: Record<string, any>) => string>}
+ */
+const operatorValues = {
+  NEAR: ({ range, sameLine }) =>
+    printOperatorCall("NEAR", [[rangeArg(range), 10], [sameLine, true]], true),
+  BEFORE: ({ range, sameLine }) => {
+    if (range[0] === 0 && range[1] === 0)
+      return printOperatorCall("FOLLOWED_BY", [[0, 0], [sameLine, true]], true);
+    return printOperatorCall("BEFORE", [[rangeArg(range), 10], [sameLine, true]], true);
+  },
+  AFTER: ({ range, sameLine }) =>
+    printOperatorCall("AFTER", [[rangeArg(range), 10], [sameLine, true]], true),
+  BEYOND: ({ distance, sameLine }) =>
+    printOperatorCall("BEYOND", [[distance, 10], [sameLine, true]], true),
+  SPOKEN_BY: ({ distance }) =>
+    printOperatorCall("SPOKEN_BY", [[distance, 2]], true),
+  AT_LEAST: ({ count, scope }) =>
+    printOperatorCall("AT_LEAST", [[count, undefined], [scope, "text"]])
+};
+
+/**
+ * Prints an operator with its options, or `undefined` if it is not one `Matching` provides.
+ * 
+ * @param {string} operator
+ * @param {Record<string, any>} options
+ * @returns {string | undefined}
+ */
+const operatorValueOf = (operator, options) => {
+  if (simpleOperators.has(operator) && Object.keys(options).length === 0) return operator;
+  return operatorValues[operator]?.(options);
+};
+
+/**
+ * Finds a call to `WORD` that produces the same forms as a word.
+ * 
+ * @param {string} word
+ * @param {string[]} forms
+ * @returns {string | undefined}
+ */
+const printWordCall = (word, forms) => {
+  const expected = [...forms].sort().join("\n");
+  /** @type {TLG.Matching.Inflection[][]} */
+  const choices = [
+    ["plural"],
+    ["plural", "ing", "ed"], ["ing", "ed"], ["plural", "ing"], ["plural", "ed"], ["ing"], ["ed"]
+  ];
+  for (const inflections of choices) {
+    const options = inflections.length === 1 && inflections[0] === "plural" ? undefined : { inflections };
+    if (inflect(word, options).sort().join("\n") !== expected) continue;
+    return options ? `WORD(${JSON.stringify(word)}, ${printLiteral(options)})` : `WORD(${JSON.stringify(word)})`;
+  }
+  return undefined;
+};
+
+/** Matches the escapes that are only understood with the `u` flag. */
+const reUnicodeEscape = /(?<!\\)(?:\\\\)*\\[pPu]\{/;
+
+/**
+ * Prints a regular-expression pattern as a literal, if it is valid in one.  Flags are
+ * discarded when a literal is used as a phrase, so patterns that need the `u` flag are
+ * not printed as literals; some of them would still be valid without it, but would
+ * mean something else.
+ * 
+ * @param {string} source
+ * @returns {string | undefined}
+ */
+const printRegexLiteral = (source) => {
+  if (reUnicodeEscape.test(source)) return undefined;
+  try {
+    return `/${new RegExp(source).source}/`;
+  }
+  catch (err) {
+    if (!(err instanceof SyntaxError)) throw err;
+    return undefined;
+  }
+};
+
+/**
+ * Gets the deltas a `DepthDelta` strategy applies when its configuration does not
+ * specify them.  These are not part of the configuration, so they are found by
+ * extending a blank state.
+ * 
+ * @param {AnyStrategy} strategy
+ * @returns {{ priorityDelta: number, searchDelta: number }}
+ */
+const deltasOf = (strategy) => {
+  const state = /** @type {TLG.Config.State} */ (/** @type {unknown} */ ({
+    context: { budgetPriority: 0 },
+    entry: { searchRange: 0 },
+    strategyStack: [],
+    depth: 0
+  }));
+  const { context, entry } = strategy.extend(state, {});
+  return { priorityDelta: context?.budgetPriority, searchDelta: entry?.searchRange };
+};
+
+/**
+ * Finds the `Scaffold` strategy that could have created a `DepthDelta` strategy, with
+ * the configuration that would need to be given to it.  When several could have, the
+ * one needing the fewest changes to its defaults is used.
+ * 
+ * @param {AnyStrategy} strategy
+ * @returns {{ name: string, config: Record<string, any> } | undefined}
+ */
+const findScaffold = (strategy) => {
+  const deltas = deltasOf(strategy);
+  const { context = {}, entry = {}, category, ...restConfig } = strategy.config;
+
+  /** @type {{ name: string, config: Record<string, any>, changes: number } | undefined} */
+  let best = undefined;
+  for (const [name, scaffoldFn] of scaffoldKinds) {
+    const base = scaffoldFn();
+    const baseDeltas = deltasOf(base);
+    if (baseDeltas.priorityDelta !== deltas.priorityDelta) continue;
+    if (baseDeltas.searchDelta !== deltas.searchDelta) continue;
+
+    /** @type {(given: Record<string, any>, defaults: Record<string, any>) => Record<string, any> | undefined} */
+    const changesTo = (given, defaults) => {
+      // A default that is missing cannot be removed by passing it to the strategy.
+      if (Object.keys(defaults).some((key) => !(key in given))) return undefined;
+      return Object.fromEntries(Object.entries(given).filter(([key, value]) => defaults[key] !== value));
+    };
+
+    const contextChanges = changesTo(context, base.config.context ?? {});
+    const entryChanges = changesTo(entry, base.config.entry ?? {});
+    if (!contextChanges || !entryChanges) continue;
+
+    const changes = Object.keys(contextChanges).length + Object.keys(entryChanges).length;
+    if (best && best.changes <= changes) continue;
+
+    /** @type {Record<string, any>} */
+    const config = { ...restConfig };
+    if (JSON.stringify(category) !== JSON.stringify(base.config.category)) config.category = category;
+    if (Object.keys(contextChanges).length > 0) config.context = contextChanges;
+    if (Object.keys(entryChanges).length > 0) config.entry = entryChanges;
+    best = { name, config, changes };
+  }
+
+  return best && { name: best.name, config: best.config };
+};
+
+/**
+ * Re-indents the source of a function so its later lines line up with `indent`.
+ * 
+ * @param {string} source
+ * @param {string} indent
+ * @returns {string}
+ */
+const reindent = (source, indent) => {
+  const [first, ...rest] = source.split("\n");
+  const margins = rest
+    .filter((line) => line.trim().length > 0)
+    .map((line) => /^\s*/.exec(line)?.[0].length ?? 0);
+  const margin = Math.min(...margins);
+  return [first, ...rest.map((line) => `${indent}${line.slice(margin)}`)].join("\n");
+};
+
+/**
+ * Derives a name for a list of shared keys from the name of an entry that uses them,
+ * such as `rook` for `"Character: Rook"`.
+ * 
+ * @param {string} entryName
+ * @returns {string}
+ */
+const keysNameFor = (entryName) => {
+  const words = (entryName.split(":").pop() ?? "").match(/[A-Za-z0-9]+/g) ?? [];
+  const name = words
+    .map((word, i) => i === 0 ? word.toLowerCase() : `${word[0].toUpperCase()}${word.slice(1).toLowerCase()}`)
+    .join("");
+  return /^[A-Za-z]/.test(name) ? name : `keys${name}`;
+};
+
+/**
+ * Prints a `TLG.BuilderConfig` as the source of a module, written like `example.js`,
+ * that will build it into a lorebook.  This allows a lorebook to be maintained as code.
+ * 
+ * - Phrases are written with `LIT`, `PRE`, `WORD`, `ALT`, `EXP` and the other helpers in
+ *   `Matching`, and `PRE` phrases as plain strings.
+ * - Strategies are written with `DepthDelta`, `Fixed` or the `Scaffold` strategy that
+ *   created them, giving only the settings that differ from that strategy's defaults.
+ * - Lists of keys used by several entries are pulled out into a shared `keys` object.
+ * 
+ * Functions given as `baseKeys` are copied as they were written; anything they refer
+ * to must be defined in the generated module by hand.  Throws a `TypeError` for any
+ * strategy or value that cannot be written as source.
+ * 
+ * @param {TLG.BuilderConfig} config
+ * @param {Partial<GenerateOptions>} [options]
+ * @returns {string}
+ */
+exports.generateSource = (config, options) => {
+  const { libraryPath, maxLineLength } = { ...generateDefaults, ...options };
+
+  /** @type {Set<string>} */
+  const usedHelpers = new Set();
+  /** @type {Set<"DepthDelta" | "Fixed" | "Scaffold">} */
+  const usedStrategies = new Set();
+  /** Whether any pattern needs the `unicode` setting to keep its meaning. */
+  let usesUnicode = false;
+
+  /** @type {(name: string, args: string) => string} */
+  const call = (name, args) => {
+    usedHelpers.add(name);
+    return `${name}(${args})`;
+  };
+
+  /** @type {(source: string) => string} */
+  const useLeading = (source) => {
+    usedHelpers.add(/^\w+/.exec(source)?.[0] ?? source);
+    return source;
+  };
+
+  /**
+   * Prints items as a list, on a single line if it fits after `lead`.
+   * 
+   * @param {string[]} items
+   * @param {string} indent
+   * @param {string} lead
+   * @returns {string}
+   */
+  const printList = (items, indent, lead) => {
+    if (items.length === 0) return "[]";
+    const inline = `[${items.join(", ")}]`;
+    if (indent.length + lead.length + inline.length <= maxLineLength) return inline;
+    const inner = indent + indentUnit;
+    return `[\n${items.map((item) => `${inner}${item}`).join(",\n")}\n${indent}]`;
+  };
+
+  /**
+   * Prints a value that may contain nested objects across several lines.
+   * 
+   * @param {unknown} value
+   * @param {string} indent
+   * @param {string} lead
+   * @returns {string}
+   */
+  const printValue = (value, indent, lead) => {
+    if (is.array(value)) {
+      const inner = indent + indentUnit;
+      return printList(value.map((item) => printValue(item, inner, "")), indent, lead);
+    }
+    if (!is.pojo(value)) return printLiteral(value);
+
+    const inner = indent + indentUnit;
+    const props = Object.entries(value)
+      .filter(([, propValue]) => propValue !== undefined)
+      .map(([key, propValue]) => {
+        const propLead = `${printProp(key)}: `;
+        return `${inner}${propLead}${printValue(propValue, inner, propLead)}`;
+      });
+    if (props.length === 0) return "{}";
+    return `{\n${props.join(",\n")}\n${indent}}`;
+  };
+
+  /**
+   * Prints a phrase operator given as a value, like a `subOp`.
+   * 
+   * @param {TLG.Matching.PhraseOperator} op
+   * @returns {string}
+   */
+  const printOperator = (op) => {
+    const name = operatorNames.get(op);
+    if (name) return useLeading(name);
+
+    const binaryOp = matching.isExtBinaryOperator(op) ? op() : op;
+    const { node } = matching.asEscaped(binaryOp(matching.LIT("left"), matching.LIT("right")));
+    if (node.type !== "operator")
+      throw new TypeError("Cannot generate source for an operator that does not create an operator node.");
+
+    const value = operatorValueOf(node.operator, node.options);
+    if (value) return useLeading(value);
+    const args = `${JSON.stringify(node.operator)}, ${printLiteral(node.options)}, left, right`;
+    return `(left, right) => ${call("toOperator", args)}`;
+  };
+
+  /**
+   * Prints a node of a phrase's tree.
+   * 
+   * @param {TLG.Matching.PhraseNode} node
+   * @returns {string}
+   */
+  const printNode = (node) => {
+    /** @type {(source: string) => string} */
+    const withCase = (source) => {
+      if (node.type !== "word" && node.type !== "regex") return source;
+      return node.caseSensitive ? call("CASE_SENSITIVE", source) : source;
+    };
+
+    switch (node.type) {
+      case "word": {
+        const { mode, word, forms = [] } = node;
+        /** @type {(word: string) => string} */
+        const printSingle = (word) => mode === "PRE" ? JSON.stringify(word) : call(mode, JSON.stringify(word));
+        if (forms.length === 0) return withCase(printSingle(word));
+        const wordCall = mode === "LIT" ? printWordCall(word, forms) : undefined;
+        if (wordCall) return withCase(useLeading(wordCall));
+        return withCase(call("ALT", [word, ...forms].map(printSingle).join(", ")));
+      }
+      case "regex": {
+        if (node.flags?.includes("u") || reUnicodeEscape.test(node.source)) usesUnicode = true;
+        const literal = printRegexLiteral(node.source);
+        return withCase(literal ?? call("toEscaped", JSON.stringify(node.source)));
+      }
+      case "alt":
+        return call("ALT", node.alternates.map(printNode).join(", "));
+      case "operator": {
+        const { operator, options } = node;
+        const left = printNode(node.left);
+        const right = node.right && printNode(node.right);
+
+        switch (operator) {
+          case "IN_DIALOGUE":
+          case "IN_NARRATION":
+            return call(operator, left);
+          case "SPEAKER":
+            return call(operator, options.distance === 2 ? left : `${left}, ${options.distance}`);
+        }
+
+        const value = operatorValueOf(operator, options);
+        const operands = right ? `${left}, ${right}` : left;
+        if (value && operator === "AT_LEAST") return `${useLeading(value)}(${operands})`;
+        if (value && right) return call("EXP", `${left}, ${useLeading(value)}, ${right}`);
+        return call("toOperator", `${JSON.stringify(operator)}, ${printLiteral(options)}, ${operands}`);
+      }
+      case "combinator": {
+        const args = node.phrases.map(printNode);
+        if (node.scope !== "text") args.unshift(printLiteral({ scope: node.scope }));
+        if (node.combinator === "ANY_OF") args.unshift(String(node.count));
+        return call(node.combinator, args.join(", "));
+      }
+    }
+  };
+
+  /**
+   * Prints a phrase as it would be written in an entry's `keys`.
+   * 
+   * @param {TLG.Matching.PhraseOperand} phrase
+   * @returns {string}
+   */
+  const printPhrase = (phrase) => {
+    if (is.string(phrase)) return JSON.stringify(phrase);
+    if (phrase instanceof RegExp)
+      return printRegexLiteral(phrase.source) ?? printNode(matching.asEscaped(phrase).node);
+    if (matching.isPhraseExp(phrase)) {
+      const [left, op, right] = phrase;
+      return call("EXP", `${printPhrase(left)}, ${printOperator(op)}, ${printPhrase(right)}`);
+    }
+    if (matching.isEscaped(phrase)) return printNode(phrase.node);
+    throw new TypeError(`Cannot generate source for the phrase: ${String(phrase)}`);
+  };
+
+  /**
+   * Prints a strategy with the constructor that would create it.
+   * 
+   * @param {AnyStrategy} strategy
+   * @param {string} indent
+   * @returns {string}
+   */
+  const printStrategy = (strategy, indent) => {
+    /** @type {(name: string, config: Record<string, any>) => string} */
+    const construct = (name, config) => {
+      const printed = printValue(config, indent, "");
+      return printed === "{}" ? `${name}()` : `${name}(${printed})`;
+    };
+
+    switch (strategy.type) {
+      case "Fixed":
+        usedStrategies.add("Fixed");
+        return construct("Fixed", strategy.config);
+      case "DepthDelta": {
+        const deltas = deltasOf(strategy);
+        const defaults = deltasOf(DepthDelta());
+        if (deltas.priorityDelta === defaults.priorityDelta && deltas.searchDelta === defaults.searchDelta) {
+          usedStrategies.add("DepthDelta");
+          return construct("DepthDelta", strategy.config);
+        }
+
+        const scaffold = findScaffold(strategy);
+        if (scaffold) {
+          usedStrategies.add("Scaffold");
+          return construct(`Scaffold.${scaffold.name}`, scaffold.config);
+        }
+
+        // Some other defaults were used; they must be given explicitly.
+        usedStrategies.add("DepthDelta");
+        return construct("DepthDelta", { ...deltas, ...strategy.config });
+      }
+      default:
+        throw new TypeError(`Cannot generate source for a strategy of type \`${strategy.type}\`.`);
+    }
+  };
+
+  /** @type {(entries: TLG.BuildableEntry[]) => Iterable<[TLG.BuildableEntry, TLG.Matching.PhraseOperand[]]>} */
+  const keyListsOf = function*(entries) {
+    for (const entry of entries) {
+      if (is.array(entry.baseKeys)) yield [entry, entry.baseKeys];
+      yield [entry, entry.keys];
+      if (entry.subEntries) yield* keyListsOf(entry.subEntries);
+    }
+  };
+
+  /** @type {Map<string, SharedKeys>} */
+  const sharedKeys = dew(() => {
+    /** @type {Map<string, { entry: TLG.BuildableEntry, items: string[], count: number }>} */
+    const uses = new Map();
+    for (const [entry, keys] of keyListsOf(config.entries)) {
+      if (keys.length === 0) continue;
+      const items = keys.map(printPhrase);
+      const source = `[${items.join(", ")}]`;
+      const use = uses.get(source);
+      if (use) use.count += 1;
+      else uses.set(source, { entry, items, count: 1 });
+    }
+
+    /** @type {Map<string, SharedKeys>} */
+    const result = new Map();
+    /** @type {Set<string>} */
+    const names = new Set();
+    for (const [source, { entry, items, count }] of uses) {
+      if (count < 2) continue;
+      const baseName = keysNameFor(entry.name);
+      let name = baseName;
+      for (let i = 2; names.has(name); i++) name = `${baseName}${i}`;
+      names.add(name);
+      result.set(source, { name, items });
+    }
+    return result;
+  });
+
+  /**
+   * Prints a list of keys, using the shared `keys` object when it has them.
+   * 
+   * @param {TLG.Matching.PhraseOperand[]} keys
+   * @param {string} indent
+   * @param {string} lead
+   * @returns {string}
+   */
+  const printKeys = (keys, indent, lead) => {
+    const items = keys.map(printPhrase);
+    const shared = sharedKeys.get(`[${items.join(", ")}]`);
+    if (shared) return `keys.${shared.name}`;
+    return printList(items, indent, lead);
+  };
+
+  /**
+   * Prints a list of bias groups, with their phrases written like keys.
+   * 
+   * @param {TLG.BiasGroup[]} groups
+   * @param {string} indent
+   * @param {string} lead
+   * @returns {string}
+   */
+  const printBias = (groups, indent, lead) => {
+    const inner = indent + indentUnit;
+    const printed = groups.map((group) => {
+      const { phrases, ...restGroup } = group;
+      const props = [`phrases: ${printList(phrases.map(printPhrase), inner, "{ phrases: ")}`];
+      for (const [key, value] of Object.entries(restGroup))
+        if (value !== undefined) props.push(`${printProp(key)}: ${printLiteral(value)}`);
+      const inline = `{ ${props.join(", ")} }`;
+      if (inner.length + inline.length <= maxLineLength) return inline;
+      const propIndent = inner + indentUnit;
+      return `{\n${props.map((prop) => `${propIndent}${prop}`).join(",\n")}\n${inner}}`;
+    });
+    return printList(printed, indent, lead);
+  };
+
+  /**
+   * Prints an entry, along with its sub-entries.
+   * 
+   * @param {TLG.BuildableEntry} entry
+   * @param {string} indent
+   * @returns {string}
+   */
+  const printEntry = (entry, indent) => {
+    if (entry === ScaffoldModule.SignpostEntry) {
+      usedStrategies.add("Scaffold");
+      return `${indent}Scaffold.SignpostEntry`;
+    }
+
+    const inner = indent + indentUnit;
+    const {
+      name, strategy, baseOp, baseKeys, keys, baseBias, bias, text, subOp, subEntries,
+      ...rest
+    } = entry;
+
+    /** @type {string[]} */
+    const props = [];
+    /** @type {(key: string, print: (lead: string) => string) => void} */
+    const add = (key, print) => {
+      const lead = `${printProp(key)}: `;
+      props.push(`${inner}${lead}${print(lead)}`);
+    };
+
+    add("name", () => JSON.stringify(name));
+    if (strategy) add("strategy", () => printStrategy(strategy, inner));
+    if (baseOp) add("baseOp", () => printOperator(baseOp));
+    if (is.function(baseKeys)) {
+      props.push([
+        `${inner}// This function was copied as it was written; anything it refers to must be`,
+        `${inner}// defined in this file.`,
+        `${inner}baseKeys: ${reindent(baseKeys.toString(), inner)}`
+      ].join("\n"));
+    }
+    else if (baseKeys) add("baseKeys", (lead) => printKeys(baseKeys, inner, lead));
+    add("keys", (lead) => printKeys(keys, inner, lead));
+    if (is.function(baseBias)) {
+      props.push([
+        `${inner}// This function was copied as it was written; anything it refers to must be`,
+        `${inner}// defined in this file.`,
+        `${inner}baseBias: ${reindent(baseBias.toString(), inner)}`
+      ].join("\n"));
+    }
+    else if (baseBias) add("baseBias", (lead) => printBias(baseBias, inner, lead));
+    if (bias) add("bias", (lead) => printBias(bias, inner, lead));
+    if (is.string(text)) add("text", () => JSON.stringify(text));
+    else if (text) add("text", (lead) => printList(text.map((t) => JSON.stringify(t)), inner, lead));
+    if (subOp) add("subOp", () => printOperator(subOp));
+    for (const [key, value] of Object.entries(rest))
+      if (value !== undefined) add(key, (lead) => printValue(value, inner, lead));
+    if (subEntries?.length) {
+      const printed = subEntries.map((subEntry) => printEntry(subEntry, inner + indentUnit));
+      add("subEntries", () => `[\n${printed.join(",\n")}\n${inner}]`);
+    }
+
+    return `${indent}{\n${props.join(",\n")}\n${indent}}`;
+  };
+
+  const buildSource = dew(() => {
+    const { strategy, settings, entries, ...rest } = config;
+    const inner = indentUnit;
+
+    // The entries are printed first, to find out if they need the `unicode` setting.
+    const printed = entries.map((entry) => printEntry(entry, inner + indentUnit));
+    const usedSettings = usesUnicode && !settings?.unicode ? { ...settings, unicode: true } : settings;
+
+    /** @type {string[]} */
+    const props = [];
+    if (strategy) props.push(`${inner}strategy: ${printStrategy(strategy, inner)}`);
+    if (usedSettings) props.push(`${inner}settings: ${printValue(usedSettings, inner, "settings: ")}`);
+    for (const [key, value] of Object.entries(rest)) {
+      if (value === undefined) continue;
+      const lead = `${printProp(key)}: `;
+      props.push(`${inner}${lead}${printValue(value, inner, lead)}`);
+    }
+    props.push(`${inner}entries: [\n${printed.join(",\n")}\n${inner}]`);
+
+    return `const loreBook = buildEntries({\n${props.join(",\n")}\n});`;
+  });
+
+  const keysSource = dew(() => {
+    if (sharedKeys.size === 0) return undefined;
+    const props = [...sharedKeys.values()].map(({ name, items }) => {
+      const lead = `${name}: `;
+      return `${indentUnit}${lead}${printList(items, indentUnit, lead)}`;
+    });
+    return [
+      "// These lists of keys are used by several entries.",
+      `const keys = {\n${props.join(",\n")}\n};`
+    ].join("\n");
+  });
+
+  const importSource = dew(() => {
+    /** @type {(module: string) => string} */
+    const pathTo = (module) => JSON.stringify(`${libraryPath.replace(/\/$/, "")}/${module}`);
+
+    /** @type {string[]} */
+    const lines = [
+      `const { getName, saveLorebook } = require(${pathTo("utils")});`,
+      `const { buildEntries } = require(${pathTo("building")});`
+    ];
+
+    if (usedHelpers.size > 0) {
+      const helpers = [...usedHelpers]
+        .sort((a, b) => matchingOrder.indexOf(a) - matchingOrder.indexOf(b));
+      const helperLine = `const { ${helpers.join(", ")} } = require(${pathTo("matching")});`;
+      if (helperLine.length <= maxLineLength) lines.push(helperLine);
+      else {
+        const names = helpers.map((name) => `${indentUnit}${name}`).join(",\n");
+        lines.push(`const {\n${names}\n} = require(${pathTo("matching")});`);
+      }
+    }
+    if (usedStrategies.has("DepthDelta"))
+      lines.push(`const { DepthDelta } = require(${pathTo("strategies/depthDelta")});`);
+    if (usedStrategies.has("Fixed"))
+      lines.push(`const { Fixed } = require(${pathTo("strategies/fixed")});`);
+    if (usedStrategies.has("Scaffold"))
+      lines.push(`const Scaffold = require(${pathTo("strategies/scaffold")});`);
+    return lines.join("\n");
+  });
+
+  return [
+    importSource,
+    [
+      "// Run `node` with this file to build it into a lorebook of the same name, which can",
+      "// be imported into NovelAI."
+    ].join("\n"),
+    keysSource,
+    buildSource,
+    "saveLorebook(getName(__filename), loreBook);"
+  ].filter(Boolean).join("\n\n");
+};
+
+/**
+ * Converts a lorebook into the source of a module that will build it, so a lorebook
+ * made in NovelAI can be maintained as code from then on.  The lorebook is converted
+ * with `Importing.importLorebook`, then printed with `generateSource`.
+ * 
+ * @param {NAI.LoreBook} lorebook
+ * @param {Partial<ImportOptions & GenerateOptions>} [options]
+ * @returns {string}
+ */
+exports.generateFromLorebook = (lorebook, options) =>
+  exports.generateSource(importLorebook(lorebook, options), options);
\ No newline at end of file
@@ -0,0 +1,26 @@
+export interface GenerateOptions {
+  /**
+   * The path the generated module will `require` this library from.  The default
+   * suits a file placed beside `example.js`; use `"novelai-lorebook-helper"` when the
+   * library is installed as a package instead.
+   * 
+   * Defaults to `"."`.
+   */
+  libraryPath: string;
+
+  /**
+   * The longest a line may be before a list is written with one item per line.
+   * 
+   * Defaults to `100`.
+   */
+  maxLineLength: number;
+}
+
+/** A list of keys that is used by several entries. */
+export interface SharedKeys {
+  /** The name of the list in the generated `keys` object. */
+  name: string;
+
+  /** The source of each phrase in the list. */
+  items: string[];
+}
\ No newline at end of file
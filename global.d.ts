@@ -34,17 +34,68 @@ namespace NAI {
   }
 
   interface LoreEntry extends LoreEntryConfig {
+    /** A unique id for the entry; from version 3, every entry has one. */
+    id?: string;
     text: string;
     displayName: string;
     keys: string[];
     contextConfig: ContextConfig;
     lastUpdatedAt?: number;
+    /** From version 3, the `id` of the category the entry is in, or `""` for none. */
+    category?: string;
+    /** From version 4, the phrase bias groups applied while the entry is active. */
+    loreBiasGroups?: LoreBiasGroup[];
   }
 
+  interface BiasPhrase {
+    /** The text to bias. */
+    sequence: string;
+    /** How `sequence` is read; `3` is text that NovelAI tokenizes itself. */
+    type: number;
+  }
+
+  interface LoreBiasGroup {
+    phrases: BiasPhrase[];
+    /** Whether, once the first token of a phrase is generated, the rest are too. */
+    ensureSequenceFinish: boolean;
+    /** Whether the bias stops applying after a phrase has been generated once. */
+    generateOnce: boolean;
+    /** How much the phrases are biased; negative values make them less likely. */
+    bias: number;
+    enabled: boolean;
+    /** Whether the group applies while the entry is inactive, instead of active. */
+    whenInactive: boolean;
+  }
+
+  interface LoreCategory {
+    name: string;
+    id: string;
+    enabled: boolean;
+    /** Whether the entries of the category are inserted together, as their own context. */
+    createSubcontext: boolean;
+    /** How the subcontext is inserted, when `createSubcontext` is set. */
+    subcontextSettings: LoreEntry;
+    /** Whether new entries in the category start with `categoryDefaults`. */
+    useCategoryDefaults: boolean;
+    categoryDefaults: LoreEntry;
+    /** From version 4, the phrase bias groups of the category itself. */
+    categoryBiasGroups?: LoreBiasGroup[];
+  }
+
+  /**
+   * The versions of the lorebook format that can be built.
+   * - `2` - Entries with keys and their configuration.
+   * - `3` - Adds ids for entries and categories to group them.
+   * - `4` - Adds phrase bias groups to entries and categories.
+   */
+  type LoreBookVersion = 2 | 3 | 4;
+
   interface LoreBook {
-    lorebookVersion: 2;
+    lorebookVersion: LoreBookVersion;
     settings: LoreBookConfig;
     entries: LoreEntry[];
+    /** From version 3, the categories the entries are grouped into. */
+    categories?: LoreCategory[];
   }
 
 }
@@ -60,23 +111,317 @@ namespace TLG {
      * entries after the story has been inserted.
      */
     reversedTextIteration: boolean;
+
+    /**
+     * Optimizes the keys of each entry, so they are shorter while still matching
+     * exactly the same text.  The savings can be checked with `report()`.
+     * 
+     * Defaults to `false`.
+     */
+    optimizeKeys: boolean;
+
+    /**
+     * Checks every generated key for problems, such as invalid syntax or patterns that
+     * may be very slow to match.  Provide an object to configure the checks.
+     * 
+     * Any warnings can be checked with `report()`.
+     * Keys that lose the case-sensitivity of their phrase are reported even when this
+     * is disabled.
+     * 
+     * Defaults to `false`.
+     */
+    lint: boolean | Partial<import("./linting.types").LintOptions>;
+
+    /**
+     * Renders every key with Unicode-aware word boundaries and word characters, so that
+     * phrases like "Ærwyn", "Zoë" or non-Latin words match as whole words.  The keys will
+     * use the `/iu` flags instead of `/i`.
+     * 
+     * Defaults to `false`.
+     */
+    unicode: boolean;
+
+    /**
+     * Allows the case-sensitive parts of keys to be wrapped in an inline modifier, like
+     * `(?-i:Will)`, which is shorter than the alternative.  Only recent browsers support
+     * these, so check that yours does before enabling this.
+     * 
+     * Defaults to `false`.
+     */
+    inlineModifiers: boolean;
+
+    /**
+     * The version of the lorebook format to build.  Categories are only output from
+     * version `3`, and phrase bias groups from version `4`; see `NAI.LoreBookVersion`.
+     * 
+     * Defaults to `2`.
+     */
+    lorebookVersion: NAI.LoreBookVersion;
+  }
+
+  /**
+   * A category that entries can be grouped into, from version `3` of the lorebook format.
+   * A category can be given by its name alone, or with its settings.
+   */
+  type Category = string | CategoryConfig;
+
+  interface CategoryConfig {
+    /** The name of the category, which identifies it. */
+    name: string;
+
+    /**
+     * Whether the entries of the category can be activated.
+     * 
+     * Defaults to `true`.
+     */
+    enabled?: boolean;
+
+    /**
+     * When given, the entries of the category are inserted together as a subcontext,
+     * configured by these settings on top of NovelAI's defaults.
+     */
+    subcontext?: Partial<NAI.ContextConfig>;
+  }
+
+  /**
+   * A group of phrases whose likelihood of being generated is changed while an entry is
+   * active, from version `4` of the lorebook format.
+   */
+  interface BiasGroup {
+    /**
+     * The phrases to bias.  These must be plain words or alternatives of them, like
+     * those from `LIT`, `PRE`, `WORD` and `ALT`; every form of each word is biased.
+     */
+    phrases: Matching.Phrase[];
+
+    /**
+     * How much the phrases are biased.  Positive values make them more likely and
+     * negative values less likely.
+     */
+    strength: number;
+
+    /**
+     * Applies the bias while the entry is inactive, instead of while it is active.
+     * 
+     * Defaults to `false`.
+     */
+    whenInactive?: boolean;
+
+    /**
+     * Once the first token of a phrase is generated, makes sure the rest of it is too.
+     * 
+     * Defaults to `false`.
+     */
+    ensureSequenceFinish?: boolean;
   }
 
   namespace Matching {
+    /**
+     * How a word is matched against the boundaries of other words.
+     * - `"LIT"` - Both ends must be at a word boundary.
+     * - `"PRE"` - The start must be at a word boundary; the end is open-ended.
+     * - `"POST"` - The end must be at a word boundary; the start is open-ended.
+     * - `"OPEN"` - Both ends are open-ended.
+     */
+    type WordMode = "LIT" | "PRE" | "POST" | "OPEN";
+
+    /** A node for a plain word, matched according to its `mode`. */
+    interface WordNode {
+      type: "word";
+      mode: WordMode;
+      word: string;
+      /** Other forms of the word that also match, such as "wolves" for "wolf". */
+      forms?: string[];
+      /** Whether the word must match in the same case. */
+      caseSensitive?: boolean;
+    }
+
+    /**
+     * The inflections `WORD` can produce for a word.
+     * - `"plural"` - The plural of a noun or the third-person form of a verb, like
+     *   "wolves" or "runs".
+     * - `"ing"` - The present participle of a verb, like "running".
+     * - `"ed"` - The past tense and participle of a verb, like "walked" or "ran".
+     */
+    type Inflection = "plural" | "ing" | "ed";
+
+    /**
+     * Options for `WORD`.  The forms of irregular words can be given by inflection, such
+     * as `{ plural: "mice" }`, which are used instead of the usual rules.
+     */
+    interface WordOptions extends Record<Inflection, string | string[]> {
+      /**
+       * The inflections to produce.  Defaults to `["plural"]`, along with any of the
+       * others given forms in these options; use `["plural", "ing", "ed"]` for a verb,
+       * like "run".
+       */
+      inflections: Inflection[];
+    }
+
+    /** A node for an opaque regular-expression pattern. */
+    interface RegexNode {
+      type: "regex";
+      source: string;
+      /**
+       * The flags the pattern was originally given, if they are known.  Only the
+       * `source` and `caseSensitive` are rendered, so these are otherwise discarded.
+       */
+      flags?: string;
+      /** Whether the pattern must match in the same case. */
+      caseSensitive?: boolean;
+    }
+
+    /** A node that matches any one of its `alternates`. */
+    interface AltNode {
+      type: "alt";
+      alternates: PhraseNode[];
+    }
+
+    /** A node for an operator applied to one or two phrases. */
+    interface OperatorNode {
+      type: "operator";
+      /** The name of the operator, such as `"AND"` or `"NEAR"`. */
+      operator: string;
+      /** Any options the operator was created with. */
+      options: Record<string, any>;
+      left: PhraseNode;
+      /** The second phrase; this is absent for unary operators, such as `IN_DIALOGUE`. */
+      right?: PhraseNode;
+    }
+
+    /**
+     * The range that a combinator checks its phrases within.
+     * - `MentionScope` - The whole text, or the same line or sentence.
+     * - `number` - Within this many words of each other, on the same line.
+     */
+    type CombinatorScope = MentionScope | number;
+
+    interface CombinatorOptions {
+      /** Where the phrases are checked.  Defaults to `"text"`. */
+      scope: CombinatorScope;
+    }
+
+    /**
+     * A node that checks several phrases at once.
+     * - `"ALL"` - Every phrase must appear.
+     * - `"ANY_OF"` - At least `count` of the phrases must appear.
+     * - `"NONE"` - None of the phrases may appear.
+     */
+    interface CombinatorNode {
+      type: "combinator";
+      combinator: "ALL" | "ANY_OF" | "NONE";
+      /** Where the phrases are checked. */
+      scope: CombinatorScope;
+      /** For `"ANY_OF"`, how many of the phrases must appear. */
+      count?: number;
+      phrases: PhraseNode[];
+    }
+
+    /** The tree that describes a phrase. */
+    type PhraseNode = WordNode | RegexNode | AltNode | OperatorNode | CombinatorNode;
+
+    /**
+     * Combines the results for an operator's two phrases, using the operator's options.
+     * The `right` result is `undefined` for a unary operator.
+     */
+    type OperatorFn = (left: string, right: string | undefined, options: Record<string, any>) => string;
+
+    /**
+     * Renders the combined pattern of an operator, like `OperatorFn`, but also receives
+     * the character classes it should use for words, so it can support Unicode.
+     */
+    type OperatorRenderFn = (
+      left: string,
+      right: string | undefined,
+      options: Record<string, any>,
+      classes: CharClasses
+    ) => string;
+
+    interface RenderOptions {
+      /**
+       * Whether to use Unicode-aware word boundaries and word characters, instead of
+       * JavaScript's ASCII-only `\b` and `\w`.  The rendered key will need the `u` flag.
+       * 
+       * This is always enabled for a phrase with a pattern that was given the `u` flag.
+       */
+      unicode: boolean;
+
+      /**
+       * Whether case-sensitive parts of a key can be wrapped in an inline modifier, like
+       * `(?-i:Will)`.  Only recent browsers support these.
+       */
+      inlineModifiers: boolean;
+    }
+
+    /**
+     * How the case-sensitive parts of a phrase are honored in its key.
+     * - `"none"` - There are no case-sensitive parts; the key uses the `i` flag.
+     * - `"inline"` - The case-sensitive parts are wrapped in `(?-i:...)`.
+     * - `"fold"` - The key does not use the `i` flag; instead, the case-insensitive parts
+     *   are rewritten to match either case.
+     * - `"lost"` - The case-insensitive parts could not be rewritten, so the key uses the
+     *   `i` flag and the case-sensitive parts will match case-insensitively.
+     */
+    type CaseHandling = "none" | "inline" | "fold" | "lost";
+
+    /** The character classes for words, which differ when rendering for Unicode. */
+    interface CharClasses {
+      /** The contents of the word-character class, for building other classes. */
+      wc: string;
+      /** A word character. */
+      w: string;
+      /** A character that is not a word character. */
+      W: string;
+      /** A character that is neither a word character nor a line-break. */
+      NWLB: string;
+    }
+
+    interface OperatorDefinition {
+      /** Receives the patterns of the two phrases and renders the combined pattern. */
+      render: OperatorRenderFn;
+      /**
+       * Receives the explanations of the two phrases and explains the operator in plain
+       * English.  If not provided, the operator's name is placed between them.
+       */
+      explain?: OperatorFn;
+    }
+
     interface EscapedRegex {
       isEscaped: true;
-      toNAI(): string;
-      toString(): string;
+      /** The tree this phrase was built from. */
+      node: PhraseNode;
+      /** Renders the phrase as a NovelAI key, such as `/\\bphrase/i`. */
+      toNAI(options?: Partial<RenderOptions>): string;
+      /** Renders the pattern of the phrase, without the slashes and flags. */
+      toString(options?: Partial<RenderOptions>): string;
     }
   
     type Phrase = string | RegExp | PhraseExp | EscapedRegex;
     type BinaryOperator = (left: Phrase, right: Phrase) => EscapedRegex;
+    type UnaryOperator = (phrase: Phrase) => EscapedRegex;
   
     interface ExtBinaryOperator {
       (): BinaryOperator;
       isExtBinaryOp: true;
     }
   
+    /**
+     * An operator that can be applied to a single phrase, or to two phrases like a
+     * `BinaryOperator`.
+     */
+    interface UnaryOrBinaryOperator {
+      (phrase: Phrase): EscapedRegex;
+      (left: Phrase, right: Phrase): EscapedRegex;
+    }
+
+    /**
+     * The range that mentions are counted in.
+     * - `"text"` - The whole search text.
+     * - `"line"` - The same line as the matched phrase.
+     * - `"sentence"` - The same sentence as the matched phrase.
+     */
+    type MentionScope = "text" | "line" | "sentence";
+  
     type PhraseOperator = BinaryOperator | ExtBinaryOperator;
     type PhraseOperand = Phrase | PhraseExp;
   
@@ -184,6 +529,15 @@ namespace TLG {
      * Defaults to the value of `rootOp`.
      */
      subOp?: Matching.PhraseOperator;
+
+    /**
+     * The category to place this entry and its `subEntries` in.  The settings of a
+     * category may be given wherever it appears, but may not conflict.
+     * 
+     * Defaults to the `category` in the configuration of the entry's own `strategy`,
+     * if it has one, or else the category of its parent.
+     */
+    category?: Category;
   }
 
   interface BuildableEntry extends BuildableEntryConfig {
@@ -192,6 +546,16 @@ namespace TLG {
      */
     name: string;
 
+    /**
+     * Identifies this entry among its siblings, in place of its `name`, when deriving the
+     * ids of the built entries.  Each id comes from the `id` or name of the entry and
+     * each of its ancestors, along with the index of its text, so giving an `id` keeps
+     * the entry, and those under it, linked to their imported copies when it is renamed.
+     * 
+     * Ids are only output from version `3` of the lorebook format.
+     */
+    id?: string;
+
     /**
      * The keys inherited from the parent.  This is set to whatever keys were
      * ultimately used to output the parent entries.
@@ -216,6 +580,20 @@ namespace TLG {
      */
     keys: Matching.PhraseOperand[];
 
+    /**
+     * The bias groups inherited from the parent.  These are the parent's `baseBias`
+     * together with its own `bias`.
+     * 
+     * Like `baseKeys`, this can be overridden with a new array, or a function that
+     * receives the parent's bias groups.
+     */
+    baseBias?: BiasGroup[] | ((baseBias: BiasGroup[]) => BiasGroup[]);
+
+    /**
+     * The phrase bias groups for the entry, which are added to its `baseBias`.
+     */
+    bias?: BiasGroup[];
+
     /**
      * A string or several strings that will each be converted into an entry.
      */
@@ -244,6 +622,11 @@ namespace TLG {
      */
     settings?: Partial<NAI.LoreBookConfig & BuilderSettings>;
 
+    /**
+     * The default category for the entries in `entries`.
+     */
+    category?: Category;
+
     /**
      * The list of `TLG.BuildableEntry` to build `NAI.LoreEntry` from.
      */
@@ -255,4 +638,101 @@ namespace TLG {
     forDisplay(): string;
   }
 
+  interface OptimizeStats {
+    /** The number of characters before optimizing. */
+    before: number;
+    /** The number of characters after optimizing. */
+    after: number;
+    /** The number of characters saved by optimizing. */
+    saved: number;
+  }
+
+  interface OptimizeResult extends OptimizeStats {
+    /** The optimized phrase. */
+    phrase: Matching.EscapedRegex;
+  }
+
+  /** Information about how a `NAI.LoreEntry` was built. */
+  interface EntrySource {
+    /** The full name of the `BuildableEntry`, including the names of its ancestors. */
+    name: string;
+
+    /** The full name of the parent of the `BuildableEntry`, if it is a sub-entry. */
+    parent?: string;
+
+    /**
+     * The id derived for the entry; see `BuildableEntry.id`.  The lorebook only uses it
+     * when no other entry had the same one first.
+     */
+    id: string;
+
+    /** The phrases that the keys were rendered from, in the same order as the keys. */
+    phrases: Matching.EscapedRegex[];
+
+    /** The number of characters in the keys, before and after optimizing them. */
+    keyStats: OptimizeStats;
+
+    /** The category the entry was placed in, if any. */
+    category?: CategoryConfig;
+
+    /** The phrase bias groups of the entry, including those it inherited, if any. */
+    biasGroups?: NAI.LoreBiasGroup[];
+  }
+
+  interface BuildReport {
+    /** The total number of characters in all keys, before and after optimizing them. */
+    optimization: OptimizeStats;
+
+    /**
+     * Any warnings from linting the keys, if the `lint` setting was enabled.  Otherwise,
+     * only the `case-sensitivity-lost` warnings.
+     */
+    lint: import("./linting.types").LintWarning[];
+
+    /**
+     * Problems that did not stop the lorebook from being built, such as entries that
+     * share an id.
+     */
+    warnings: string[];
+
+    /**
+     * A plain English explanation of the keys of every entry, in the lorebook's order,
+     * if the `explain` option was enabled.
+     */
+    explanations?: KeyExplanations[];
+
+    /** The findings from analyzing the entries, if the `analyze` option was enabled. */
+    analysis?: import("./analysis.types").AnalysisFinding[];
+  }
+
+  interface KeyExplanations {
+    /** The display name of the entry. */
+    displayName: string;
+
+    /** Each of the entry's keys, with an explanation of what it will match. */
+    keys: Array<{ key: string, explanation: string }>;
+  }
+
+  interface ReportOptions {
+    /**
+     * Whether to explain the keys of every entry in plain English.
+     * 
+     * Defaults to `false`.
+     */
+    explain: boolean;
+
+    /**
+     * Whether to analyze the entries for duplicates and keys that conflict; see
+     * `Analysis.analyze`.
+     * 
+     * Defaults to `false`.
+     */
+    analyze: boolean;
+  }
+
+  interface WithReport {
+    /** Provides a report about how the lorebook was built. */
+    report(options?: Partial<ReportOptions>): BuildReport;
+  }
+
 }
\ No newline at end of file
@@ -0,0 +1,364 @@
+const { dew, dropUndefProps, is } = require("./utils");
+const DEFAULTS = require("./strategies/_naiDefaults");
+const { Fixed } = require("./strategies/fixed");
+const matching = require("./matching");
+const { RegexSyntaxError } = require("./parsing");
+const { latestLorebookVersion } = require("./building");
+
+/** @typedef {import("./importing.types").ImportOptions} ImportOptions */
+/** @typedef {import("./importing.types").ImportedUnit} ImportedUnit */
+/** @typedef {import("./importing.types").ImportedEntry} ImportedEntry */
+/** @typedef {{ context: NAI.ContextConfig, entry: NAI.LoreEntryConfig }} ResolvedConfig */
+
+/**
+ * The default `ImportOptions`.
+ * 
+ * @type {ImportOptions}
+ */
+const importDefaults = {
+  plainKeys: "PRE"
+};
+
+/**
+ * Associates each `TLG.BuilderConfig` from `importLorebook` with the problems found
+ * while importing it.
+ * 
+ * @type {WeakMap<TLG.BuilderConfig, string[]>}
+ */
+const importWarnings = new WeakMap();
+
+/**
+ * Gets the problems found while importing a lorebook that did not stop it from being
+ * imported, such as keys that could not be parsed.  Only configurations created by
+ * `importLorebook` have these.
+ * 
+ * @param {TLG.BuilderConfig} config
+ * @returns {string[]}
+ */
+exports.warningsOf = (config) => importWarnings.get(config) ?? [];
+
+/** Matches the `(i of n)` suffix given to entries built from several texts. */
+const reTextIndex = /^(.*) \((\d+) of (\d+)\)$/;
+
+/** The separator between the names of a parent and its child. */
+const childSeparator = " - ";
+
+/**
+ * Converts a key from a `NAI.LoreEntry` into a phrase.
+ * 
+ * Regular-expression keys are converted with `REGEX`.  If one cannot be parsed, its
+ * pattern is used as-is and `warn` is called with the reason.
+ * 
+ * @param {string} key
+ * @param {Partial<ImportOptions>} [options]
+ * @param {(message: string) => void} [warn]
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.importKey = (key, options, warn) => {
+  const { plainKeys } = { ...importDefaults, ...options };
+
+  if (matching.isNaiRegex(key)) {
+    try {
+      return matching.REGEX(key);
+    }
+    catch (err) {
+      if (!(err instanceof RegexSyntaxError)) throw err;
+      warn?.(`Key \`${key}\` could not be parsed and will be used as-is: ${err.message}`);
+      const { source, flags } = matching.parseNaiRegex(key) ?? { source: key, flags: "i" };
+      /** @type {TLG.Matching.RegexNode} */
+      const node = { type: "regex", source, flags };
+      if (!flags.includes("i")) node.caseSensitive = true;
+      return matching.fromNode(node);
+    }
+  }
+
+  const word = key.trim();
+  const leading = key.startsWith(" ");
+  const trailing = key.endsWith(" ");
+  if (leading && trailing) return matching.LIT(word);
+  if (leading) return matching.PRE(word);
+  return matching[plainKeys](word);
+};
+
+/**
+ * Gets the properties of `config` that differ from `base`.
+ * 
+ * @template {Record<string, any>} T
+ * @param {T} config
+ * @param {T} base
+ * @returns {Partial<T>}
+ */
+const diffConfig = (config, base) => {
+  /** @type {Partial<T>} */
+  const result = {};
+  for (const key of Object.keys(base)) {
+    /** @type {keyof T} */
+    const prop = key;
+    if (config[prop] !== undefined && config[prop] !== base[prop]) result[prop] = config[prop];
+  }
+  return result;
+};
+
+/**
+ * Gets the configuration of an entry, for comparing entries and inferring strategies.
+ * 
+ * @param {NAI.LoreEntry} entry
+ * @returns {ResolvedConfig}
+ */
+const configOf = (entry) => {
+  const { searchRange, enabled, forceActivation, keyRelative, nonStoryActivatable } = entry;
+  const given = { searchRange, enabled, forceActivation, keyRelative, nonStoryActivatable };
+  return {
+    context: { ...DEFAULTS.contextDefaults, ...entry.contextConfig },
+    entry: { ...DEFAULTS.entryDefaults, ...dropUndefProps(given) }
+  };
+};
+
+/**
+ * Converts a `NAI.LoreCategory` back into a `TLG.Category`, giving only its name if
+ * its settings are the defaults.
+ * 
+ * @param {NAI.LoreCategory} category
+ * @returns {TLG.Category}
+ */
+const importCategory = (category) => {
+  /** @type {TLG.CategoryConfig} */
+  const config = { name: category.name };
+  if (!category.enabled) config.enabled = false;
+  if (category.createSubcontext) {
+    const given = category.subcontextSettings?.contextConfig ?? {};
+    config.subcontext = diffConfig({ ...DEFAULTS.contextDefaults, ...given }, DEFAULTS.contextDefaults);
+  }
+  return Object.keys(config).length === 1 ? config.name : config;
+};
+
+/**
+ * Converts the enabled `NAI.LoreBiasGroup` of an entry back into `TLG.BiasGroup`.
+ * 
+ * @param {NAI.LoreBiasGroup[]} groups
+ * @returns {TLG.BiasGroup[]}
+ */
+const importBiasGroups = (groups) => groups
+  .filter((group) => group.enabled)
+  .map((group) => {
+    /** @type {TLG.BiasGroup} */
+    const imported = {
+      phrases: group.phrases.map((phrase) => phrase.sequence).filter(is.string),
+      strength: group.bias
+    };
+    if (group.whenInactive) imported.whenInactive = true;
+    if (group.ensureSequenceFinish) imported.ensureSequenceFinish = true;
+    return imported;
+  })
+  .filter((group) => group.phrases.length > 0);
+
+/**
+ * Combines the entries that were built from several texts, named like `Name (1 of 3)`,
+ * back into one.  Entries are only combined when every part is present and they all
+ * have the same keys and configuration; otherwise, they are kept as they are.
+ * 
+ * @param {NAI.LoreEntry[]} entries
+ * @returns {ImportedUnit[]}
+ */
+const combineTexts = (entries) => {
+  /** @type {Map<string, Array<{ index: number, total: number, entry: NAI.LoreEntry }>>} */
+  const parts = new Map();
+  for (const entry of entries) {
+    const match = reTextIndex.exec(entry.displayName);
+    if (!match) continue;
+    const [, name, index, total] = match;
+    const group = parts.get(name) ?? [];
+    group.push({ index: Number(index), total: Number(total), entry });
+    parts.set(name, group);
+  }
+
+  /** @type {(entry: NAI.LoreEntry) => string} */
+  const signatureOf = (entry) => JSON.stringify([entry.keys, configOf(entry)]);
+
+  /** @type {Set<string>} */
+  const combinable = new Set();
+  for (const [name, group] of parts) {
+    const [{ total }] = group;
+    const indices = new Set(group.map((part) => part.index));
+    if (group.length !== total || indices.size !== total) continue;
+    if (group.some((part) => part.total !== total || part.index < 1 || part.index > total)) continue;
+    const signature = signatureOf(group[0].entry);
+    if (group.some((part) => signatureOf(part.entry) !== signature)) continue;
+    combinable.add(name);
+  }
+
+  /** @type {ImportedUnit[]} */
+  const units = [];
+  /** @type {Set<string>} */
+  const added = new Set();
+  for (const entry of entries) {
+    const match = reTextIndex.exec(entry.displayName);
+    const name = match?.[1];
+    if (!name || !combinable.has(name)) {
+      units.push({ fullName: entry.displayName, texts: [entry.text], source: entry });
+      continue;
+    }
+    if (added.has(name)) continue;
+    added.add(name);
+
+    const group = [...(parts.get(name) ?? [])].sort((a, b) => a.index - b.index);
+    units.push({ fullName: name, texts: group.map((part) => part.entry.text), source: group[0].entry });
+  }
+  return units;
+};
+
+/**
+ * Converts a lorebook into a `TLG.BuilderConfig`, so it can be maintained with this library.
+ * 
+ * - Plain keys become `PRE` or `LIT` phrases and regular-expression keys are converted
+ *   with `REGEX`; see `ImportOptions`.
+ * - Entries named like `Name (1 of 3)` are combined into one entry with several texts.
+ * - Entries named like `Parent - Child` become sub-entries of their parent.  A parent is
+ *   added without any text if it is not in the lorebook, but only when several entries
+ *   share it, so names that merely contain a dash are left alone.
+ * - Each entry is given a `Fixed` strategy for the settings that differ from its parent,
+ *   or from NovelAI's defaults for root entries.
+ * - Entries in a category are given that `category`, unless their parent is in the same
+ *   one.  A category's settings are only given the first time it is used.
+ * - Enabled phrase bias groups become `bias`, inheriting those of the parent when they
+ *   come first.  Whether a group only applies once is not kept.
+ * 
+ * The keys of sub-entries already include their parent's keys, so they are given empty
+ * `baseKeys` to keep them from being combined again.  Rebuilding the result should give
+ * the same entries, though the keys may be written differently.
+ * 
+ * Keys that could not be parsed are kept as-is; see `warningsOf` for what went wrong.
+ * If any key has the `u` flag, the result is given the `unicode` setting.
+ * 
+ * @param {NAI.LoreBook} lorebook
+ * @param {Partial<ImportOptions>} [options]
+ * @returns {TLG.BuilderConfig}
+ */
+exports.importLorebook = (lorebook, options) => {
+  const units = combineTexts(lorebook.entries);
+  const unitsByName = new Map(units.map((unit) => [unit.fullName, unit]));
+
+  /** @type {(prefix: string) => boolean} */
+  const isParent = dew(() => {
+    /** @type {Map<string, number>} */
+    const childCounts = new Map();
+    for (const { fullName } of units) {
+      const segments = fullName.split(childSeparator);
+      for (let i = 1; i < segments.length; i++) {
+        const prefix = segments.slice(0, i).join(childSeparator);
+        childCounts.set(prefix, (childCounts.get(prefix) ?? 0) + 1);
+      }
+    }
+    return (prefix) => unitsByName.has(prefix) || (childCounts.get(prefix) ?? 0) >= 2;
+  });
+
+  /** @type {(fullName: string) => string | undefined} */
+  const parentNameOf = (fullName) => {
+    const segments = fullName.split(childSeparator);
+    for (let i = segments.length - 1; i >= 1; i--) {
+      const prefix = segments.slice(0, i).join(childSeparator);
+      if (isParent(prefix)) return prefix;
+    }
+    return undefined;
+  };
+
+  const categoriesById = new Map((lorebook.categories ?? []).map((category) => [category.id, category]));
+  /** @type {Set<string>} */
+  const usedCategories = new Set();
+
+  /** @type {TLG.BuildableEntry[]} */
+  const roots = [];
+  /** @type {string[]} */
+  const warnings = [];
+  /** @type {Map<string, ImportedEntry>} */
+  const built = new Map();
+  const rootConfig = { context: DEFAULTS.contextDefaults, entry: DEFAULTS.entryDefaults };
+
+  /**
+   * Gets the entry for a full name, creating it and its parents as needed.
+   * 
+   * @param {string} fullName
+   * @returns {ImportedEntry}
+   */
+  const entryFor = (fullName) => {
+    const existing = built.get(fullName);
+    if (existing) return existing;
+
+    const parentName = parentNameOf(fullName);
+    const parent = parentName == null ? undefined : entryFor(parentName);
+    const name = parentName == null ? fullName : fullName.slice(parentName.length + childSeparator.length);
+    const base = parent?.resolved ?? rootConfig;
+    const unit = unitsByName.get(fullName);
+
+    /** @type {TLG.BuildableEntry} */
+    const entry = { name, keys: [] };
+    if (parent) entry.baseKeys = [];
+    let resolved = base;
+    let category = parent?.category;
+    let bias = parent?.bias ?? [];
+
+    if (unit) {
+      const { source, texts } = unit;
+      entry.keys = source.keys.map((key) => exports.importKey(key, options, (message) => {
+        warnings.push(`${source.displayName}: ${message}`);
+      }));
+      entry.text = texts.length === 1 ? texts[0] : texts;
+
+      resolved = dew(() => {
+        const config = configOf(source);
+        if (source.keys.length > 0) return config;
+        // Entries without keys are forced to activate by the builder, but that is not
+        // passed on to their sub-entries.
+        return { ...config, entry: { ...config.entry, forceActivation: base.entry.forceActivation } };
+      });
+      const context = diffConfig(resolved.context, base.context);
+      const entryConfig = diffConfig(resolved.entry, base.entry);
+
+      /** @type {import("./strategies/fixed").FixedStrategyConfig} */
+      const strategyConfig = {};
+      if (Object.keys(context).length > 0) strategyConfig.context = context;
+      if (Object.keys(entryConfig).length > 0) strategyConfig.entry = entryConfig;
+      if (Object.keys(strategyConfig).length > 0) entry.strategy = Fixed(strategyConfig);
+
+      const sourceCategory = categoriesById.get(source.category ?? "");
+      if (sourceCategory && sourceCategory.id !== category) {
+        const { id } = sourceCategory;
+        entry.category = usedCategories.has(id) ? sourceCategory.name : importCategory(sourceCategory);
+        usedCategories.add(id);
+        category = id;
+      }
+
+      const ownBias = importBiasGroups(source.loreBiasGroups ?? []);
+      const inherits = bias.length <= ownBias.length
+        && bias.every((group, i) => JSON.stringify(group) === JSON.stringify(ownBias[i]));
+      if (!inherits) entry.baseBias = [];
+      const givenBias = inherits ? ownBias.slice(bias.length) : ownBias;
+      if (givenBias.length > 0) entry.bias = givenBias;
+      bias = ownBias;
+    }
+
+    if (!parent) roots.push(entry);
+    else if (parent.entry.subEntries) parent.entry.subEntries.push(entry);
+    else parent.entry.subEntries = [entry];
+
+    const result = { entry, resolved, category, bias };
+    built.set(fullName, result);
+    return result;
+  };
+
+  for (const unit of units) entryFor(unit.fullName);
+
+  /** @type {NonNullable<TLG.BuilderConfig["settings"]>} */
+  const settings = diffConfig(lorebook.settings ?? {}, DEFAULTS.lorebookDefaults);
+  if (lorebook.lorebookVersion > 2)
+    settings.lorebookVersion = /** @type {NAI.LoreBookVersion} */ (Math.min(lorebook.lorebookVersion, latestLorebookVersion));
+  // Keys written for Unicode would mean something else if rebuilt without it.
+  const hasUnicode = (/** @type {string} */ key) => matching.parseNaiRegex(key)?.flags.includes("u") ?? false;
+  if (lorebook.entries.some((entry) => entry.keys.some(hasUnicode))) settings.unicode = true;
+
+  /** @type {TLG.BuilderConfig} */
+  const config = { entries: roots };
+  if (Object.keys(settings).length > 0) config.settings = settings;
+  importWarnings.set(config, warnings);
+  return config;
+};
\ No newline at end of file
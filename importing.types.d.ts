@@ -0,0 +1,43 @@
+export interface ImportOptions {
+  /**
+   * How plain keys, which are not regular-expressions, are converted into phrases.
+   * NovelAI matches these anywhere, even within a word, but that is rarely what was
+   * intended.
+   * - `"PRE"` - The key must be at the start of a word, like `PRE`.
+   * - `"LIT"` - The key must be a whole word, like `LIT`.
+   * 
+   * Keys with a space on both sides, like `" rook "`, which is a common way to only match
+   * whole words, always become `LIT` phrases without the spaces.  Keys with a space only
+   * at the start become `PRE` phrases.
+   * 
+   * Defaults to `"PRE"`.
+   */
+  plainKeys: "PRE" | "LIT";
+}
+
+/** An imported entry, before it is converted into a `TLG.BuildableEntry`. */
+export interface ImportedUnit {
+  /** The full display name, without any `(i of n)` suffix. */
+  fullName: string;
+
+  /** The text of each entry that was combined into this one. */
+  texts: string[];
+
+  /** The entry the keys and configuration are taken from. */
+  source: NAI.LoreEntry;
+}
+
+/** An entry as it is being imported, with what its sub-entries inherit from it. */
+export interface ImportedEntry {
+  /** The entry for the builder. */
+  entry: TLG.BuildableEntry;
+
+  /** Its configuration, after applying its strategy. */
+  resolved: { context: NAI.ContextConfig, entry: NAI.LoreEntryConfig };
+
+  /** The id of the category it is in, if any. */
+  category?: string;
+
+  /** Every bias group it has, including those it inherits. */
+  bias: TLG.BiasGroup[];
+}
\ No newline at end of file
@@ -2,8 +2,18 @@
 
 exports.DEFAULTS = require("./strategies/_naiDefaults");
 
+exports.Analysis = require("./analysis");
 exports.Building = require("./building");
+exports.Generating = require("./generating");
+exports.Importing = require("./importing");
+exports.Linting = require("./linting");
 exports.Matching = require("./matching");
+exports.Merging = require("./merging");
+exports.Morphology = require("./morphology");
+exports.Optimization = require("./optimization");
+exports.Parsing = require("./parsing");
+exports.Simulation = require("./simulation");
+exports.Validating = require("./validating");
 exports.Utils = require("./utils");
 
 const { Fixed } = require("./strategies/fixed");
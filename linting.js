@@ -0,0 +1,350 @@
+const { dew } = require("./utils");
+const matching = require("./matching");
+const { sourceOf } = require("./building");
+
+/** @typedef {import("./linting.types").LintRule} LintRule */
+/** @typedef {import("./linting.types").LintWarning} LintWarning */
+/** @typedef {import("./linting.types").LintOptions} LintOptions */
+/** @typedef {Omit<LintWarning, "displayName" | "keyIndex">} KeyWarning */
+/**
+ * An item of a group's sequence.  Its `text` is only known for items that match a
+ * single character, like `a`, `\w` or `[^\w\n]`.
+ * 
+ * @typedef {{ text: string | undefined, min: number, max: number, zeroWidth: boolean }} Atom
+ */
+/**
+ * @typedef GroupFrame
+ * @prop {"root" | "group" | "lookahead" | "lookbehind"} kind
+ * @prop {boolean} unbounded
+ * Whether the group contains an unbounded quantifier.
+ * @prop {boolean} ambiguous
+ * Whether repeating the group could match the same text in more than one way.
+ * @prop {boolean} alternates
+ * Whether the group has alternatives.
+ * @prop {Atom[]} atoms
+ */
+
+/**
+ * The default `LintOptions`.
+ * 
+ * @type {LintOptions}
+ */
+const lintDefaults = {
+  maxLength: 1000,
+  portable: false
+};
+
+/** Matches the part of a `SyntaxError` from `RegExp` that repeats the pattern. */
+const reEngineError = /^Invalid regular expression: \/[\s\S]*\/[a-z]*: /;
+
+/** Matches a quantifier, when its `lastIndex` is set to where one may be. */
+const reQuantifier = /(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})\??/y;
+
+/** Matches an escape, when its `lastIndex` is set to its backslash. */
+const reEscape = /\\(?:[pP]\{[^}]*\}|u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|c[A-Za-z]|k<[^>]*>|[\s\S])/y;
+
+/**
+ * Characters to try against two items, to see if they can match the same thing.  A few
+ * letters, marks, digits and spaces beyond ASCII are included for Unicode patterns.
+ */
+const sampleChars = dew(() => {
+  const ascii = Array.from({ length: 0x80 }, (_, i) => String.fromCharCode(i));
+  return [...ascii, "\u00a0", "\u00e9", "\u00c9", "\u00df", "\u0301", "\u0660", "\u2028", "\u4e2d", "\u{1f600}"];
+});
+
+/**
+ * Reads the quantifier at `index` in the pattern, if there is one.
+ * 
+ * @param {string} pattern
+ * @param {number} index
+ * @returns {{ length: number, min: number, max: number } | undefined}
+ */
+const readQuantifier = (pattern, index) => {
+  reQuantifier.lastIndex = index;
+  const match = reQuantifier.exec(pattern);
+  if (!match) return undefined;
+
+  const [text, symbol, min, comma, max] = match;
+  const length = text.length;
+  if (symbol === "?") return { length, min: 0, max: 1 };
+  if (symbol === "*") return { length, min: 0, max: Infinity };
+  if (symbol) return { length, min: 1, max: Infinity };
+  if (!comma) return { length, min: Number(min), max: Number(min) };
+  if (!max) return { length, min: Number(min), max: Infinity };
+  return { length, min: Number(min), max: Number(max) };
+};
+
+/**
+ * Gets the characters of `sampleChars` that an item matches.
+ * 
+ * @param {string} text
+ * @param {string} flags
+ * @returns {Set<string>}
+ */
+const samplesOf = (text, flags) => {
+  const regex = dew(() => {
+    for (const tried of new Set([flags, flags.replace("u", "")])) {
+      try {
+        return new RegExp(`^(?:${text})$`, tried);
+      }
+      catch (err) {
+        if (!(err instanceof SyntaxError)) throw err;
+      }
+    }
+    return undefined;
+  });
+  return new Set(regex ? sampleChars.filter((char) => regex.test(char)) : []);
+};
+
+/**
+ * Checks if repeating a group's sequence can only match a text in one way.  This is the
+ * case when every item that may vary in length is followed by one that must match a
+ * character it cannot, like the `[^\w\n]+\w+` that `NEAR` repeats.
+ * 
+ * Only sequences of single-character items are understood; anything else is assumed
+ * to be ambiguous.
+ * 
+ * @param {Atom[]} atoms
+ * @param {string} flags
+ * @returns {boolean}
+ */
+const repeatsUnambiguously = (atoms, flags) => {
+  const consuming = atoms.filter((atom) => !atom.zeroWidth);
+  return consuming.every((atom, i) => {
+    if (atom.min === atom.max) return true;
+    // The last item is followed by the first of the next repetition.
+    const next = consuming[(i + 1) % consuming.length];
+    if (atom.text == null || next.text == null || next.min === 0) return false;
+    const own = samplesOf(atom.text, flags);
+    const others = samplesOf(next.text, flags);
+    if (own.size === 0 || others.size === 0) return false;
+    return [...own].every((char) => !others.has(char));
+  });
+};
+
+/**
+ * Scans a regular-expression pattern for quantifiers that may be troublesome when
+ * they appear inside a lookbehind.
+ * 
+ * @param {string} pattern
+ * @param {string} [flags]
+ * The flags the pattern is used with.
+ * @returns {{ unboundedInLookbehind: boolean, nestedInLookbehind: boolean }}
+ */
+exports.analyzePattern = (pattern, flags = "") => {
+  let unboundedInLookbehind = false;
+  let nestedInLookbehind = false;
+
+  /** @type {(kind: GroupFrame["kind"]) => GroupFrame} */
+  const frameOf = (kind) => ({ kind, unbounded: false, ambiguous: false, alternates: false, atoms: [] });
+  /** @type {GroupFrame[]} */
+  const stack = [frameOf("root")];
+  /**
+   * The group that was just closed, so a quantifier after it can inspect it.
+   * 
+   * @type {GroupFrame | undefined}
+   */
+  let closedGroup = undefined;
+
+  // Only the innermost lookaround matters; a lookahead is matched forwards, even when it
+  // is within a lookbehind.
+  const inLookbehind = () => {
+    for (let i = stack.length - 1; i >= 0; i--)
+      if (stack[i].kind !== "group") return stack[i].kind === "lookbehind";
+    return false;
+  };
+  const current = () => stack[stack.length - 1];
+  /** @type {(text: string | undefined, zeroWidth?: boolean) => void} */
+  const addAtom = (text, zeroWidth = false) => {
+    current().atoms.push({ text, min: 1, max: 1, zeroWidth });
+  };
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const lastGroup = closedGroup;
+    closedGroup = undefined;
+
+    if (char === "\\") {
+      reEscape.lastIndex = i;
+      const text = reEscape.exec(pattern)?.[0] ?? char;
+      addAtom(text, text === "\\b" || text === "\\B");
+      i += text.length - 1;
+      continue;
+    }
+
+    if (char === "[") {
+      // Skip to the end of the character class.
+      const start = i;
+      for (i += 1; i < pattern.length && pattern[i] !== "]"; i++)
+        if (pattern[i] === "\\") i += 1;
+      addAtom(pattern.slice(start, i + 1));
+      continue;
+    }
+
+    if (char === "(") {
+      if (pattern.startsWith("(?<=", i) || pattern.startsWith("(?<!", i)) {
+        stack.push(frameOf("lookbehind"));
+        i += 3;
+      }
+      else if (pattern.startsWith("(?=", i) || pattern.startsWith("(?!", i)) {
+        stack.push(frameOf("lookahead"));
+        i += 2;
+      }
+      else {
+        stack.push(frameOf("group"));
+        if (pattern.startsWith("(?:", i)) i += 2;
+        else if (pattern.startsWith("(?<", i)) i = pattern.indexOf(">", i);
+      }
+      continue;
+    }
+
+    if (char === ")") {
+      const frame = stack.length > 1 ? stack.pop() : undefined;
+      if (!frame) continue;
+      if (frame.unbounded) current().unbounded = true;
+      frame.ambiguous = frame.unbounded && (frame.alternates || !repeatsUnambiguously(frame.atoms, flags));
+      // A lookbehind with an unbounded quantifier within a lookbehind is nested.
+      if (frame.unbounded && frame.kind === "lookbehind" && inLookbehind())
+        nestedInLookbehind = true;
+      addAtom(undefined, frame.kind !== "group");
+      closedGroup = frame;
+      continue;
+    }
+
+    if (char === "|") {
+      current().alternates = true;
+      continue;
+    }
+
+    const quantifier = readQuantifier(pattern, i);
+    if (!quantifier) {
+      addAtom(char, char === "^" || char === "$");
+      continue;
+    }
+    i += quantifier.length - 1;
+
+    const atom = current().atoms[current().atoms.length - 1];
+    if (atom) Object.assign(atom, { min: quantifier.min, max: quantifier.max });
+
+    if (inLookbehind()) {
+      // Repeating a group that could match the same text in several ways.
+      if (lastGroup?.ambiguous && quantifier.max > 1) nestedInLookbehind = true;
+      if (quantifier.max === Infinity) unboundedInLookbehind = true;
+    }
+    if (quantifier.max === Infinity) current().unbounded = true;
+  }
+
+  return { unboundedInLookbehind, nestedInLookbehind };
+};
+
+/**
+ * Lints a single key from a `NAI.LoreEntry`.
+ * 
+ * @param {string} key
+ * The key to check.
+ * @param {TLG.Matching.EscapedRegex} [phrase]
+ * The phrase the key was rendered from, if it is known.
+ * @param {Partial<LintOptions>} [options]
+ * @returns {KeyWarning[]}
+ */
+exports.lintKey = (key, phrase, options) => {
+  const { maxLength, portable } = { ...lintDefaults, ...options };
+
+  /** @type {KeyWarning[]} */
+  const warnings = [];
+  /** @type {(rule: LintRule, severity: LintWarning["severity"], message: string) => void} */
+  const warn = (rule, severity, message) => {
+    warnings.push({ rule, severity, key, message });
+  };
+
+  if (key.length > maxLength)
+    warn("too-long", "warning", `Key is ${key.length} characters long, which is more than ${maxLength}.`);
+
+  const parsed = matching.parseNaiRegex(key);
+  const isValid = dew(() => {
+    if (!parsed) return true;
+    try {
+      new RegExp(parsed.source, parsed.flags);
+      return true;
+    }
+    catch (err) {
+      // The error message repeats the whole pattern; we only want the reason.
+      const reason = String(err instanceof Error ? err.message : err).replace(reEngineError, "");
+      warn("invalid-syntax", "error", `Key is not a valid regular-expression: ${reason}`);
+      return false;
+    }
+  });
+
+  if (parsed && isValid) {
+    const analysis = exports.analyzePattern(parsed.source, parsed.flags);
+    if (analysis.nestedInLookbehind)
+      warn(
+        "nested-quantifier-in-lookbehind",
+        "warning",
+        "A lookbehind contains nested unbounded quantifiers, which may be very slow to match."
+      );
+    if (portable && analysis.unboundedInLookbehind)
+      warn(
+        "unbounded-lookbehind",
+        "warning",
+        "A lookbehind contains an unbounded quantifier, which many regular-expression engines reject."
+      );
+  }
+
+  if (phrase) {
+    // The flags the key was rendered with are the only ones that can be honored; the
+    // `i` flag is handled by the case-sensitivity of the phrase instead.
+    const keyFlags = `${parsed?.flags ?? ""}i`;
+    for (const [node] of matching.walk(phrase)) {
+      if (node.type !== "regex" || node.flags == null) continue;
+      const dropped = [...node.flags].filter((flag) => !keyFlags.includes(flag)).join("");
+      if (!dropped) continue;
+      warn("dropped-flags", "warning", `\`/${node.source}/${node.flags}\`: the flags \`${dropped}\` were discarded.`);
+    }
+
+    // A case-insensitive key only honors case-sensitive parts with inline modifiers.
+    const caseSensitive = [...matching.walk(phrase)].some(([node]) => "caseSensitive" in node && node.caseSensitive);
+    if (caseSensitive && parsed?.flags.includes("i") && !parsed.source.includes("(?-i:"))
+      warn(
+        "case-sensitivity-lost",
+        "warning",
+        "The phrase has case-sensitive parts, but its key could not be made case-sensitive, so they will match case-insensitively."
+      );
+  }
+
+  return warnings;
+};
+
+/**
+ * Lints every key of every entry in a lorebook.
+ * 
+ * Only entries built by `buildEntries` can be checked for `REGEX` phrases that had their
+ * flags discarded, since the phrases of other entries are not known.
+ * 
+ * @param {NAI.LoreBook} lorebook
+ * @param {Partial<LintOptions>} [options]
+ * @returns {LintWarning[]}
+ */
+exports.lint = (lorebook, options) => {
+  /** @type {LintWarning[]} */
+  const warnings = [];
+  for (const entry of lorebook.entries) {
+    const phrases = sourceOf(entry)?.phrases ?? [];
+    entry.keys.forEach((key, keyIndex) => {
+      for (const warning of exports.lintKey(key, phrases[keyIndex], options))
+        warnings.push({ ...warning, displayName: entry.displayName, keyIndex });
+    });
+  }
+  return warnings;
+};
+
+/**
+ * Formats a warning as a single line of text.
+ * 
+ * @param {LintWarning} warning
+ * @returns {string}
+ */
+exports.formatWarning = (warning) => {
+  const { severity, rule, displayName, keyIndex, message } = warning;
+  return `[${severity}] ${displayName} (key ${keyIndex + 1}, ${rule}): ${message}`;
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+export type LintRule
+  /** The key is not a valid regular-expression. */
+  = "invalid-syntax"
+  /** The key is longer than `LintOptions.maxLength`. */
+  | "too-long"
+  /**
+   * A lookbehind contains an unbounded quantifier that is nested inside another
+   * quantifier or lookbehind, which can cause catastrophic backtracking.
+   */
+  | "nested-quantifier-in-lookbehind"
+  /**
+   * A lookbehind contains an unbounded quantifier.  NovelAI supports this, but many
+   * other regular-expression engines will reject it.
+   */
+  | "unbounded-lookbehind"
+  /**
+   * A pattern was given flags that could not be honored, as when an imported key could
+   * not be parsed and was used as-is.
+   */
+  | "dropped-flags"
+  /**
+   * The phrase has case-sensitive parts, but its key had to be case-insensitive, such
+   * as when a pattern with a backreference had to remain case-insensitive.
+   * This is reported even when linting is disabled.
+   */
+  | "case-sensitivity-lost";
+
+export interface LintWarning {
+  /** The rule that was violated. */
+  rule: LintRule;
+
+  /**
+   * How serious the problem is.
+   * - `"error"` - NovelAI will not be able to use the key.
+   * - `"warning"` - The key will work, but may not work well or as intended.
+   */
+  severity: "error" | "warning";
+
+  /** The display name of the entry the key belongs to. */
+  displayName: string;
+
+  /** The key with the problem. */
+  key: string;
+
+  /** The position of the key in the entry's `keys`. */
+  keyIndex: number;
+
+  /** A description of the problem. */
+  message: string;
+}
+
+export interface LintOptions {
+  /**
+   * The maximum number of characters a key can have before it is flagged.
+   * 
+   * Defaults to `1000`.
+   */
+  maxLength: number;
+
+  /**
+   * Whether to flag any unbounded quantifier in a lookbehind, for compatibility with
+   * regular-expression engines other than NovelAI's.
+   * 
+   * Defaults to `false`.
+   */
+  portable: boolean;
+}
\ No newline at end of file
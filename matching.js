@@ -2,12 +2,112 @@ const { dew, tuple, is } = require("./utils");
 
 /** All characters. */
 const AC = "[\\s\\S]";
-/** Word boundary. */
-const B = "\\b";
-/** Not word or line-break. */
-const NWLB = "[^\\w\\n]";
-/** Open ended. */
-const OE = "\\w*?";
+/**
+ * A character within a sentence.  Sentences end at `.`, `!`, `?`, line-breaks and closing
+ * quotes; a `"` only counts as closing when it does not follow whitespace.
+ */
+const SC = `(?:[^.!?\\n"\u201D]|(?<!\\S)")`;
+/** The start of a sentence, matched by the character that ended the last one. */
+const SS = `(?:^|[.!?\\n\u201D]|(?<=\\S)")`;
+/** An opening quote; a `"` only counts when it does not follow a non-whitespace character. */
+const OQ = `(?:(?<!\\S)"|\u201C)`;
+/** A closing quote; a `"` only counts when it follows a non-whitespace character. */
+const CQ = `(?:(?<=\\S)"|\u201D)`;
+/** A character that is not a quote or line-break; dialogue cannot extend past them. */
+const NQ = `[^"\u201C\u201D\\n]`;
+/** A character within a paragraph; paragraphs end at a blank line. */
+const PC = "(?:[^\\n]|\\n(?![^\\S\\n]*\\n))";
+
+/**
+ * The character classes used to render phrases, for each mode of `RenderOptions.unicode`.
+ * 
+ * @type {Record<"ascii" | "unicode", TLG.Matching.CharClasses>}
+ */
+const charClasses = {
+  ascii: {
+    wc: "\\w",
+    w: "\\w",
+    W: "\\W",
+    NWLB: "[^\\w\\n]"
+  },
+  unicode: {
+    wc: "\\p{L}\\p{N}\\p{M}_",
+    w: "[\\p{L}\\p{N}\\p{M}_]",
+    W: "[^\\p{L}\\p{N}\\p{M}_]",
+    NWLB: "[^\\p{L}\\p{N}\\p{M}_\\n]"
+  }
+};
+
+/** Matches a word character, the same as `charClasses.unicode.w`. */
+const reUnicodeWordChar = /^[\p{L}\p{N}\p{M}_]$/u;
+
+/**
+ * Gets the character classes for the given render options.
+ * 
+ * @param {Partial<TLG.Matching.RenderOptions>} options
+ * @returns {TLG.Matching.CharClasses}
+ */
+const classesFor = (options) => options.unicode ? charClasses.unicode : charClasses.ascii;
+
+/**
+ * The definitions for each operator, by the operator's name.
+ * 
+ * @type {Map<string, TLG.Matching.OperatorDefinition>}
+ */
+const operatorDefs = new Map();
+
+/**
+ * How each word mode is described by `explain`.
+ * 
+ * @type {Record<TLG.Matching.WordMode, string>}
+ */
+const wordExplanations = {
+  LIT: "exact word",
+  PRE: "word start",
+  POST: "word end",
+  OPEN: "word part"
+};
+
+/** The types of `TLG.Matching.PhraseNode`. */
+const nodeTypes = ["word", "regex", "alt", "operator", "combinator"];
+
+/**
+ * Renders the escaped pattern of a word, by its mode, using the patterns for the
+ * word's boundaries.
+ * 
+ * @type {Record<TLG.Matching.WordMode, (escaped: string, bounds: WordBounds) => string>}
+ */
+const wordRenderers = {
+  LIT: (escaped, { start, end }) => `${start}${escaped}${end}`,
+  PRE: (escaped, { start }) => `${start}${escaped}`,
+  POST: (escaped, { end, open }) => `${open}${escaped}${end}`,
+  OPEN: (escaped, { open }) => `${open}${escaped}`
+};
+
+/** The `WordBounds` when not rendering for Unicode. */
+const asciiBounds = { start: "\\b", end: "\\b", open: "\\w*?" };
+
+/**
+ * Renders a Unicode-aware word boundary.  JavaScript's `\\b` only understands ASCII, even
+ * with the `u` flag.
+ * 
+ * When every word has a word character at that edge, only the side outside the word
+ * needs checking, which keeps the pattern short.  Otherwise, a full boundary is used.
+ * 
+ * @param {"start" | "end"} edge
+ * @param {string[] | undefined} words
+ * @returns {string}
+ */
+const unicodeBoundary = (edge, words) => {
+  const { w } = charClasses.unicode;
+  const outside = edge === "start" ? `(?<!${w})` : `(?!${w})`;
+  const isWordAtEdge = (/** @type {string} */ word) => {
+    const chars = [...word];
+    return reUnicodeWordChar.test(edge === "start" ? chars[0] : chars[chars.length - 1]);
+  };
+  if (words && words.length > 0 && words.every(isWordAtEdge)) return outside;
+  return `(?:(?<=${w})(?!${w})|(?<!${w})(?=${w}))`;
+};
 
 /**
  * Adds a flag that marks a function as an extended binary operator.
@@ -25,6 +125,39 @@ const asExtBinaryOp = (fn) => {
   return fn;
 };
 
+/**
+ * Converts the `range` option of the proximity operators into a `[lo, hi]` tuple.
+ * 
+ * @param {number | [number, number]} range
+ * @returns {[number, number]}
+ */
+const toRange = (range) => {
+  if (is.number(range)) {
+    if (range <= 0) return [0, 0];
+    return [0, range];
+  }
+  if (is.array(range) && range.length === 2)
+    return [Math.min(range[0], range[1]), Math.max(range[0], range[1])];
+  throw new TypeError(`Not valid for \`range\`: ${range}`);
+};
+
+/**
+ * Renders a pattern that skips between `lo` and `hi` words, for the proximity operators.
+ * When `sameLine` is set, the words may not be separated by a line-break.
+ * 
+ * @param {number} lo
+ * @param {number} hi
+ * @param {boolean} sameLine
+ * @param {TLG.Matching.CharClasses} classes
+ * @returns {string}
+ */
+const renderSeparator = (lo, hi, sameLine, classes) => {
+  const NW = sameLine ? classes.NWLB : classes.W;
+  return `(?:${NW}+${classes.w}+){${lo},${hi}}?${NW}+`;
+};
+
+/** @typedef {{ start: string, end: string, open: string }} WordBounds */
+
 /**
  * Makes a string safe to be used in a RegExp matcher.
  * 
@@ -33,7 +166,7 @@ const asExtBinaryOp = (fn) => {
  */
 exports.escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-const reNaiRegex = /^\/(.*)\/[ismu]*$/;
+const reNaiRegex = /^\/(.*)\/([ismu]*)$/;
 /**
  * Determines if the value is a NovelAI regular-expression string.
  * 
@@ -42,6 +175,18 @@ const reNaiRegex = /^\/(.*)\/[ismu]*$/;
  */
 exports.isNaiRegex = (value) => reNaiRegex.test(value);
 
+/**
+ * Splits a NovelAI regular-expression string into its pattern and flags.
+ * 
+ * @param {string} value
+ * @returns {{ source: string, flags: string } | undefined}
+ */
+exports.parseNaiRegex = (value) => {
+  const match = reNaiRegex.exec(value);
+  if (!match) return undefined;
+  return { source: match[1], flags: match[2] };
+};
+
 /**
  * Determines if the value is an escaped regular-expression part.
  * 
@@ -79,6 +224,17 @@ exports.isExtBinaryOperator = (value) => {
   return "isExtBinaryOp" in value && value.isExtBinaryOp === true;
 };
 
+/**
+ * Determines if the value is a node from the tree of a phrase.
+ * 
+ * @param {any} value 
+ * @returns {value is TLG.Matching.PhraseNode}
+ */
+exports.isNode = (value) => {
+  if (!is.pojo(value)) return false;
+  return nodeTypes.includes(value.type);
+};
+
 /**
  * Evaluates a 3-tuple phrase expression.
  * 
@@ -92,22 +248,372 @@ exports.evalExp = (exp) => {
 };
 
 /**
- * Wraps a string in an object that indicates it is an escaped regular-expression pattern.
+ * Registers how an operator node is rendered into a pattern and explained in plain
+ * English.  This allows custom operators to be built with `toOperator`.
  * 
- * @param {string} pattern 
+ * @param {string} operator
+ * The name of the operator.
+ * @param {TLG.Matching.OperatorDefinition} definition
+ */
+exports.defineOperator = (operator, definition) => {
+  if (operatorDefs.has(operator))
+    throw new Error(`An operator named \`${operator}\` was already defined.`);
+  operatorDefs.set(operator, definition);
+};
+
+/**
+ * Gets the definition of an operator, throwing if it is unknown.
+ * 
+ * @param {string} operator
+ * @returns {TLG.Matching.OperatorDefinition}
+ */
+const getOperatorDef = (operator) => {
+  const definition = operatorDefs.get(operator);
+  if (definition) return definition;
+  throw new Error(`Unknown operator: ${operator}`);
+};
+
+/** Matches an escape sequence at the start of a pattern, so it can be copied as-is. */
+const reEscape = /^\\(?:[pPu]\{[^}]*\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|c[a-zA-Z]|k<[^>]*>|[\s\S])/;
+
+/** Matches the start of a group that removes the `i` flag, like `(?-i:`. */
+const reCaseSensitiveGroup = /^\(\?[ms]*-[ms]*i[ms]*:/;
+
+/** Matches a backreference in a pattern, which cannot be made case-insensitive by `foldCase`. */
+const reBackreference = /(?<!\\)(?:\\\\)*\\(?:[1-9]|k<)/;
+
+/**
+ * Gets the other case of a character, if it has one that is a single character.
+ * 
+ * @param {string} char
+ * @returns {string | undefined}
+ */
+const otherCase = (char) => {
+  const lower = char.toLowerCase();
+  const other = lower === char ? char.toUpperCase() : lower;
+  if (other === char || [...other].length !== 1) return undefined;
+  return other;
+};
+
+/**
+ * Rewrites a pattern so it matches case-insensitively without the `i` flag, by
+ * replacing each letter with a class of both its cases, such as `[wW]`.
+ * 
+ * @param {string} pattern
+ * @returns {string}
+ */
+const foldCase = (pattern) => {
+  const chars = [...pattern];
+  let result = "";
+  let inClass = false;
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+
+    if (char === "\\") {
+      const [escape] = reEscape.exec(chars.slice(i).join("")) ?? [char];
+      result += escape;
+      i += [...escape].length - 1;
+      continue;
+    }
+
+    if (inClass) {
+      if (char === "]") inClass = false;
+      // A range of letters, like `a-z`, also needs the range in the other case.
+      const end = chars[i + 2];
+      if (chars[i + 1] === "-" && end && end !== "]" && end !== "\\") {
+        const otherStart = otherCase(char);
+        const otherEnd = otherCase(end);
+        result += `${char}-${end}`;
+        if (otherStart && otherEnd) result += `${otherStart}-${otherEnd}`;
+        i += 2;
+        continue;
+      }
+      result += `${char}${otherCase(char) ?? ""}`;
+      continue;
+    }
+
+    if (char === "[") {
+      inClass = true;
+      result += char;
+      // A negation must stay at the start of the class.
+      if (chars[i + 1] === "^") result += chars[++i];
+      continue;
+    }
+
+    // The name of a named group must be left alone.
+    if (char === "(" && chars[i + 1] === "?" && chars[i + 2] === "<" && /[^=!]/.test(chars[i + 3] ?? "")) {
+      const close = chars.indexOf(">", i);
+      result += chars.slice(i, close + 1).join("");
+      i = close;
+      continue;
+    }
+
+    // A group that is already case-sensitive must be left alone.
+    if (char === "(" && reCaseSensitiveGroup.test(chars.slice(i, i + 12).join(""))) {
+      let depth = 0;
+      let j = i;
+      for (; j < chars.length; j++) {
+        if (chars[j] === "\\") j += 1;
+        else if (chars[j] === "(") depth += 1;
+        else if (chars[j] === ")" && --depth === 0) break;
+      }
+      result += chars.slice(i, j + 1).join("");
+      i = j;
+      continue;
+    }
+
+    const other = otherCase(char);
+    result += other ? `[${char}${other}]` : char;
+  }
+
+  return result;
+};
+
+/**
+ * Determines how the case-sensitive parts of a phrase can be honored when it is
+ * rendered as a key with the given options.
+ * 
+ * @param {TLG.Matching.PhraseOperand | TLG.Matching.PhraseNode} phrase
+ * @param {Partial<TLG.Matching.RenderOptions>} [options]
+ * @returns {TLG.Matching.CaseHandling}
+ */
+exports.caseHandlingOf = (phrase, options = {}) => {
+  let hasSensitive = false;
+  let canFold = true;
+  for (const [node] of exports.walk(phrase)) {
+    if (node.type !== "word" && node.type !== "regex") continue;
+    if (node.caseSensitive) hasSensitive = true;
+    else if (node.type === "regex" && reBackreference.test(node.source)) canFold = false;
+  }
+
+  if (!hasSensitive) return "none";
+  if (options.inlineModifiers) return "inline";
+  return canFold ? "fold" : "lost";
+};
+
+/**
+ * Surrounds an already escaped pattern with the boundaries for a word mode.
+ * 
+ * @param {TLG.Matching.WordMode} mode
+ * @param {string} escaped
+ * @param {Partial<TLG.Matching.RenderOptions>} [options]
+ * @param {string[]} [words]
+ * The words the pattern was made from, if known.  When rendering for Unicode, this
+ * allows shorter boundaries to be used.
+ * @returns {string}
+ */
+exports.renderWord = (mode, escaped, options = {}, words = undefined) => {
+  if (!options.unicode) return wordRenderers[mode](escaped, asciiBounds);
+  return wordRenderers[mode](escaped, {
+    start: unicodeBoundary("start", words),
+    end: unicodeBoundary("end", words),
+    open: `${charClasses.unicode.w}*?`
+  });
+};
+
+/**
+ * Renders a node, with the case-sensitive parts handled as determined for the
+ * whole key.
+ * 
+ * @param {TLG.Matching.PhraseNode} node
+ * @param {Partial<TLG.Matching.RenderOptions>} options
+ * @param {TLG.Matching.CaseHandling} handling
+ * @returns {string}
+ */
+const renderNode = (node, options, handling) => {
+  /** @type {(child: TLG.Matching.PhraseNode) => string} */
+  const renderChild = (child) => renderNode(child, options, handling);
+
+  /** @type {(pattern: string) => string} */
+  const withCase = (pattern) => {
+    if (node.type !== "word" && node.type !== "regex") return pattern;
+    if (handling === "inline" && node.caseSensitive) return `(?-i:${pattern})`;
+    if (handling === "fold" && !node.caseSensitive) return foldCase(pattern);
+    return pattern;
+  };
+
+  switch (node.type) {
+    case "word": {
+      if (!node.forms?.length)
+        return withCase(exports.renderWord(node.mode, exports.escapeRegExp(node.word), options, [node.word]));
+      const words = [node.word, ...node.forms];
+      const { compactWords } = require("./optimization");
+      // The forms of a word are not in any order of preference.
+      return withCase(exports.renderWord(node.mode, compactWords(words, true), options, words));
+    }
+    case "regex": return withCase(node.source);
+    case "alt": return `(?:${node.alternates.map(renderChild).join("|")})`;
+    case "operator": {
+      const { render } = getOperatorDef(node.operator);
+      const right = node.right && renderChild(node.right);
+      return render(renderChild(node.left), right, node.options, classesFor(options));
+    }
+    case "combinator": return renderCombinator(node, renderChild, classesFor(options));
+  }
+};
+
+/**
+ * Enables the `unicode` option when a pattern in the tree was given the `u` flag, which
+ * it may need to be valid or to keep its meaning.
+ * 
+ * @param {TLG.Matching.PhraseNode} node
+ * @param {Partial<TLG.Matching.RenderOptions>} options
+ * @returns {Partial<TLG.Matching.RenderOptions>}
+ */
+const withUnicode = (node, options) => {
+  if (options.unicode) return options;
+  for (const [child] of exports.walk(node))
+    if (child.type === "regex" && child.flags?.includes("u")) return { ...options, unicode: true };
+  return options;
+};
+
+/**
+ * Renders a phrase's tree into a regular-expression pattern.
+ * 
+ * @param {TLG.Matching.PhraseNode} node
+ * @param {Partial<TLG.Matching.RenderOptions>} [options]
+ * @returns {string}
+ */
+exports.render = (node, options = {}) => {
+  const usedOptions = withUnicode(node, options);
+  return renderNode(node, usedOptions, exports.caseHandlingOf(node, usedOptions));
+};
+
+/**
+ * Renders a phrase's tree into the pattern and flags of a NovelAI key.
+ * 
+ * The key is only case-insensitive when that would not discard the case-sensitive
+ * parts of the phrase; see `TLG.Matching.CaseHandling`.
+ * 
+ * @param {TLG.Matching.PhraseNode} node
+ * @param {Partial<TLG.Matching.RenderOptions>} [options]
+ * @returns {{ pattern: string, flags: string, handling: TLG.Matching.CaseHandling }}
+ */
+exports.renderKey = (node, options = {}) => {
+  const usedOptions = withUnicode(node, options);
+  const handling = exports.caseHandlingOf(node, usedOptions);
+  const pattern = renderNode(node, usedOptions, handling);
+  const flags = `${handling === "fold" ? "" : "i"}${usedOptions.unicode ? "u" : ""}`;
+  return { pattern, flags, handling };
+};
+
+/**
+ * Explains a phrase in plain English, so that someone who does not read regular-expressions
+ * can check that it will match what was intended.
+ * 
+ * @param {TLG.Matching.PhraseOperand | TLG.Matching.PhraseNode} phrase
+ * @returns {string}
+ */
+exports.explain = (phrase) => {
+  const root = exports.isNode(phrase) ? phrase : exports.asEscaped(phrase).node;
+
+  /** @type {(node: TLG.Matching.PhraseNode, nested: boolean) => string} */
+  const explainNode = (node, nested) => {
+    /** @type {(text: string) => string} */
+    const group = (text) => nested ? `(${text})` : text;
+
+    switch (node.type) {
+      case "word": {
+        const cased = node.caseSensitive ? ", case-sensitive" : "";
+        const forms = node.forms?.length ? `, or ${node.forms.map((form) => `'${form}'`).join(", ")}` : "";
+        return `'${node.word}' (${wordExplanations[node.mode]}${cased}${forms})`;
+      }
+      case "regex": {
+        const cased = node.caseSensitive ? " (case-sensitive)" : "";
+        return `the pattern /${node.source}/${cased}`;
+      }
+      case "alt": {
+        if (node.alternates.length === 1) return explainNode(node.alternates[0], nested);
+        const alternates = node.alternates.map((alt) => explainNode(alt, true));
+        return group(`any of ${alternates.join(" | ")}`);
+      }
+      case "operator": {
+        const { explain } = getOperatorDef(node.operator);
+        const left = explainNode(node.left, true);
+        const right = node.right && explainNode(node.right, true);
+        if (!explain) return group(right ? `${left} ${node.operator} ${right}` : `${node.operator} ${left}`);
+        return group(explain(left, right, node.options));
+      }
+      case "combinator": {
+        const phrases = node.phrases.map((phrase) => {
+          // A nested `NONE` uses this node's scope, so only its phrases are relevant.
+          if (phrase.type !== "combinator" || phrase.combinator !== "NONE")
+            return explainNode(phrase, true);
+          return `none of [${phrase.phrases.map((p) => explainNode(p, true)).join(", ")}]`;
+        }).join(", ");
+        const which = dew(() => {
+          switch (node.combinator) {
+            case "ALL": return "all of";
+            case "ANY_OF": return `at least ${node.count} of`;
+            case "NONE": return "none of";
+          }
+        });
+        const where = dew(() => {
+          if (is.number(node.scope)) return `within ${node.scope} words of each other`;
+          if (node.scope === "text") return "anywhere in range";
+          return `in the same ${node.scope}`;
+        });
+        return group(`${which} [${phrases}], ${where}`);
+      }
+    }
+  };
+
+  return explainNode(root, false);
+};
+
+/**
+ * Wraps a phrase's tree in an object that indicates it is an escaped regular-expression.
+ * The pattern is rendered from the tree on demand.
+ * 
+ * @param {TLG.Matching.PhraseNode} node
  * @returns {TLG.Matching.EscapedRegex}
  */
-exports.toEscaped = (pattern) => {
+exports.fromNode = (node) => {
   return {
     isEscaped: true,
-    toNAI: () => `/${pattern}/i`,
-    toString: () => pattern
+    node,
+    toNAI: (options) => {
+      const { pattern, flags } = exports.renderKey(node, options);
+      return `/${pattern}/${flags}`;
+    },
+    toString: (options) => exports.render(node, options)
   };
 };
 
+/**
+ * Wraps a string in an object that indicates it is an escaped regular-expression pattern.
+ * 
+ * @param {string} pattern 
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.toEscaped = (pattern) => exports.fromNode({ type: "regex", source: pattern });
+
+/**
+ * Creates a phrase from an operator node.  The operator must have been registered
+ * with `defineOperator`.
+ * 
+ * @param {string} operator
+ * @param {Record<string, any>} options
+ * @param {TLG.Matching.Phrase} left
+ * @param {TLG.Matching.Phrase} [right]
+ * Omitted for a unary operator.
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.toOperator = (operator, options, left, right) => {
+  getOperatorDef(operator);
+
+  /** @type {TLG.Matching.OperatorNode} */
+  const node = { type: "operator", operator, options, left: exports.asEscaped(left).node };
+  if (right !== undefined) node.right = exports.asEscaped(right).node;
+  return exports.fromNode(node);
+};
+
 /**
  * Coerces the given `TLG.Phrase` into a `TLG.EscapedRegex`.
- * - `RegExp` - The `source` property is used, however, flags are discarded.
+ * - `RegExp` - The `source` property is used, however, flags other than `u` are discarded,
+ *   so it will match case-insensitively; use `REGEX` or `CASE_SENSITIVE` to match case.
+ *   The flags are kept on its node, so linting can report the ones that were discarded.
  * - `TLG.PhraseExp` - Evaluates the phrase expression and returns the result.
  * - `TLG.EscapedRegex` - Returned as-is.
  * - `string` - Converted using `PRE`.
@@ -116,11 +622,121 @@ exports.toEscaped = (pattern) => {
  * @returns {TLG.Matching.EscapedRegex}
  */
 exports.asEscaped = (phrase) => {
-  if (phrase instanceof RegExp) return this.toEscaped(phrase.source);
+  if (phrase instanceof RegExp) {
+    if (!phrase.flags) return exports.toEscaped(phrase.source);
+    return exports.fromNode({ type: "regex", source: phrase.source, flags: phrase.flags });
+  }
   if (exports.isPhraseExp(phrase)) return exports.evalExp(phrase);
   if (exports.isEscaped(phrase)) return phrase;
   return exports.PRE(phrase);
-}
+};
+
+/**
+ * Gets the immediate children of a node.
+ * 
+ * @param {TLG.Matching.PhraseNode} node
+ * @returns {TLG.Matching.PhraseNode[]}
+ */
+exports.childrenOf = (node) => {
+  switch (node.type) {
+    case "alt": return node.alternates;
+    case "operator": return node.right ? [node.left, node.right] : [node.left];
+    case "combinator": return node.phrases;
+    default: return [];
+  }
+};
+
+/**
+ * Walks the tree of a phrase depth-first, yielding each node before its children.
+ * Each node is paired with its ancestors, ordered from the root to its parent.
+ * 
+ * @param {TLG.Matching.PhraseOperand | TLG.Matching.PhraseNode} phrase
+ * @returns {Iterable<[TLG.Matching.PhraseNode, TLG.Matching.PhraseNode[]]>}
+ */
+exports.walk = function*(phrase) {
+  const root = exports.isNode(phrase) ? phrase : exports.asEscaped(phrase).node;
+
+  /** @type {(node: TLG.Matching.PhraseNode, ancestors: TLG.Matching.PhraseNode[]) => Iterable<[TLG.Matching.PhraseNode, TLG.Matching.PhraseNode[]]>} */
+  const walkNode = function*(node, ancestors) {
+    yield [node, ancestors];
+    const nextAncestors = [...ancestors, node];
+    for (const child of exports.childrenOf(node))
+      yield* walkNode(child, nextAncestors);
+  };
+
+  yield* walkNode(root, []);
+};
+
+/**
+ * Rebuilds the tree of a phrase from the bottom up.  The `transformFn` receives each
+ * node after its children have been transformed and returns the node to use in its
+ * place.  Return the node as-is to leave it unchanged.
+ * 
+ * @param {TLG.Matching.PhraseOperand | TLG.Matching.PhraseNode} phrase
+ * @param {(node: TLG.Matching.PhraseNode) => TLG.Matching.PhraseNode} transformFn
+ * @returns {TLG.Matching.PhraseNode}
+ */
+exports.transform = (phrase, transformFn) => {
+  const root = exports.isNode(phrase) ? phrase : exports.asEscaped(phrase).node;
+
+  /** @type {(node: TLG.Matching.PhraseNode) => TLG.Matching.PhraseNode} */
+  const transformNode = (node) => {
+    switch (node.type) {
+      case "alt": {
+        const alternates = node.alternates.map(transformNode);
+        return transformFn({ ...node, alternates });
+      }
+      case "operator": {
+        const left = transformNode(node.left);
+        if (!node.right) return transformFn({ ...node, left });
+        const right = transformNode(node.right);
+        return transformFn({ ...node, left, right });
+      }
+      case "combinator": {
+        const phrases = node.phrases.map(transformNode);
+        return transformFn({ ...node, phrases });
+      }
+      default:
+        return transformFn(node);
+    }
+  };
+
+  return transformNode(root);
+};
+
+/**
+ * Lists the plain texts a phrase stands for, when it is made only of words and their
+ * alternatives, like those from `LIT`, `PRE`, `WORD` and `ALT`.  Every form of a word is
+ * included.  Returns `undefined` for a phrase with a pattern or an operator, as it
+ * cannot be written out as text.
+ * 
+ * @param {TLG.Matching.PhraseOperand | TLG.Matching.PhraseNode} phrase
+ * @returns {string[] | undefined}
+ */
+exports.literalsOf = (phrase) => {
+  const root = exports.isNode(phrase) ? phrase : exports.asEscaped(phrase).node;
+
+  /** @type {(node: TLG.Matching.PhraseNode) => string[] | undefined} */
+  const literalsOfNode = (node) => {
+    switch (node.type) {
+      case "word": return [node.word, ...(node.forms ?? [])];
+      case "alt": {
+        /** @type {string[]} */
+        const literals = [];
+        for (const alternate of node.alternates) {
+          const ofAlternate = literalsOfNode(alternate);
+          if (!ofAlternate) return undefined;
+          literals.push(...ofAlternate);
+        }
+        return literals;
+      }
+      default: return undefined;
+    }
+  };
+
+  const literals = literalsOfNode(root);
+  return literals && [...new Set(literals)];
+};
 
 /**
  * Creates an exact-match phrase.
@@ -128,7 +744,7 @@ exports.asEscaped = (phrase) => {
  * @param {string} word 
  * @returns {TLG.Matching.EscapedRegex}
  */
-exports.LIT = (word) => exports.toEscaped(`${B}${exports.escapeRegExp(word)}${B}`);
+exports.LIT = (word) => exports.fromNode({ type: "word", mode: "LIT", word });
 
 /**
  * Creates an prefix phrase, where the tail-end of the word is open-ended.
@@ -138,7 +754,7 @@ exports.LIT = (word) => exports.toEscaped(`${B}${exports.escapeRegExp(word)}${B}
  * @param {string} word 
  * @returns {TLG.Matching.EscapedRegex}
  */
-exports.PRE = (word) => exports.toEscaped(`${B}${exports.escapeRegExp(word)}`);
+exports.PRE = (word) => exports.fromNode({ type: "word", mode: "PRE", word });
 
 /**
  * Creates an postfix phrase, where the leading-end of the word is open-ended.
@@ -146,7 +762,7 @@ exports.PRE = (word) => exports.toEscaped(`${B}${exports.escapeRegExp(word)}`);
  * @param {string} word 
  * @returns {TLG.Matching.EscapedRegex}
  */
-exports.POST = (word) => exports.toEscaped(`${OE}${exports.escapeRegExp(word)}${B}`);
+exports.POST = (word) => exports.fromNode({ type: "word", mode: "POST", word });
 
 /**
  * Creates an open-ended phrase, where both ends of the word are open-ended.
@@ -154,24 +770,65 @@ exports.POST = (word) => exports.toEscaped(`${OE}${exports.escapeRegExp(word)}${
  * @param {string} word 
  * @returns {TLG.Matching.EscapedRegex}
  */
-exports.OPEN = (word) => exports.toEscaped(`${OE}${exports.escapeRegExp(word)}`);
+exports.OPEN = (word) => exports.fromNode({ type: "word", mode: "OPEN", word });
+
+/**
+ * Creates an exact-match phrase for an English word that also matches its plural, like
+ * "wolves" for "wolf".  The `-ing` and `-ed` forms of verbs are also matched when asked
+ * for, as in `WORD("run", { inflections: ["plural", "ing", "ed"] })`.  Possessives,
+ * like "wolf's", are matched without needing forms of their own.
+ * 
+ * Irregular forms can be given in the `options`, such as `WORD("mouse", { plural: "mice" })`,
+ * or added for every phrase to `Morphology.irregular`.  The forms are rendered as one
+ * compact pattern, like `wol(?:f|ves)`.
+ * 
+ * @param {string} word
+ * The base form of the word, such as a singular noun or the infinitive of a verb.
+ * @param {Partial<TLG.Matching.WordOptions>} [options]
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.WORD = (word, options) => {
+  const forms = require("./morphology").inflect(word, options);
+  return exports.fromNode({ type: "word", mode: "LIT", word, forms });
+};
 
 /**
  * Creates a phrase from a NovelAI regular-expression string, to help with migrating
- * pre-existing lorebooks.
+ * pre-existing lorebooks.  The regular-expression is parsed into a phrase, so it can be
+ * optimized and composed with operators safely; see `Parsing.parseRegex`.
  * 
- * Note: only the pattern of the regular-expression will be used.  Any flags specified
- * will be discarded due to script limitations.
+ * Note: only the pattern of the regular-expression, the absence of the `i` flag, which
+ * makes it case-sensitive, and the `u` flag will be used; keys with this phrase in them
+ * are rendered as with the `unicode` option.  Other flags and backreferences are not
+ * supported, as they would not keep their meaning in the composed key.
+ * 
+ * Throws a `RegexSyntaxError` if the regular-expression cannot be used.
  * 
  * @param {string} regex
  * @returns {TLG.Matching.EscapedRegex}
  */
 exports.REGEX = (regex) => {
-  const match = reNaiRegex.exec(regex);
-  if (match) return exports.toEscaped(match[1]);
-  throw new Error(`Not compatible with NovelAI's regular-expressions: ${regex}`);
+  const { parseRegex } = require("./parsing");
+  return exports.fromNode(parseRegex(regex));
 };
 
+/**
+ * Marks every word and pattern in a phrase as case-sensitive, such as a character named
+ * "Will", so they will not match the word "will".
+ * 
+ * Keys are case-insensitive in NovelAI, so when a key mixes case-sensitive and
+ * case-insensitive parts, the case-insensitive parts are rewritten to match either case
+ * and the key drops its `i` flag.  If the `inlineModifiers` option is used, the
+ * case-sensitive parts are instead wrapped in `(?-i:...)`.
+ * 
+ * @param {TLG.Matching.Phrase} phrase
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.CASE_SENSITIVE = (phrase) => exports.fromNode(exports.transform(phrase, (node) => {
+  if (node.type !== "word" && node.type !== "regex") return node;
+  return { ...node, caseSensitive: true };
+}));
+
 /**
  * Constructs a phrase expression.
  * 
@@ -191,10 +848,21 @@ exports.EXP = (left, op, right) => tuple(left, op, right);
  * @param  {...TLG.Matching.Phrase} alternates 
  * @returns {TLG.Matching.EscapedRegex}
  */
-exports.ALT = (...alternates) => {
-  alternates = alternates.map((alt) => exports.asEscaped(alt));
-  return exports.toEscaped(`(?:${alternates.join("|")})`);
-}
+exports.ALT = (...alternates) => exports.fromNode({
+  type: "alt",
+  alternates: alternates.map((alt) => exports.asEscaped(alt).node)
+});
+
+exports.defineOperator("AND", {
+  render(reLeft, reRight) {
+    const ahead = `(?=${AC}*?${reRight})`;
+    const behind = `(?<=${reRight}${AC}*?${reLeft})`;
+    return `${reLeft}(?:${ahead}|${behind})`;
+  },
+  explain(left, right) {
+    return `${left} AND, anywhere in range, ${right}`;
+  }
+});
 
 /**
  * Matches `left` when `right` appears together with it, within the searched text.
@@ -204,13 +872,18 @@ exports.ALT = (...alternates) => {
  * @returns {TLG.Matching.EscapedRegex}
  * 
  */
-exports.AND = (left, right) => {
-  const reLeft = exports.asEscaped(left);
-  const reRight = exports.asEscaped(right);
-  const ahead = `(?=${AC}*?${reRight})`;
-  const behind = `(?<=${reRight}${AC}*?${reLeft})`;
-  return exports.toEscaped(`${reLeft}(?:${ahead}|${behind})`);
-};
+exports.AND = (left, right) => exports.toOperator("AND", {}, left, right);
+
+exports.defineOperator("EXCLUDING", {
+  render(reLeft, reRight) {
+    const ahead = `(?!${AC}*?${reRight})`;
+    const behind = `(?<!${reRight}${AC}*?${reLeft})`;
+    return `${reLeft}${ahead}${behind}`;
+  },
+  explain(left, right) {
+    return `${left} BUT NOT, anywhere in range, ${right}`;
+  }
+});
 
 /**
  * Matches `left` when `right` does NOT appear together with it, within the searched text.
@@ -220,13 +893,18 @@ exports.AND = (left, right) => {
  * @returns {TLG.Matching.EscapedRegex}
  * 
  */
- exports.EXCLUDING = (left, right) => {
-  const reLeft = exports.asEscaped(left);
-  const reRight = exports.asEscaped(right);
-  const ahead = `(?!${AC}*?${reRight})`;
-  const behind = `(?<!${reRight}${AC}*?${reLeft})`;
-  return exports.toEscaped(`${reLeft}${ahead}${behind}`);
-};
+exports.EXCLUDING = (left, right) => exports.toOperator("EXCLUDING", {}, left, right);
+
+exports.defineOperator("WITH", {
+  render(reLeft, reRight) {
+    const ahead = `(?=.*?${reRight})`;
+    const behind = `(?<=${reRight}.*?${reLeft})`;
+    return `${reLeft}(?:${ahead}|${behind})`;
+  },
+  explain(left, right) {
+    return `${left} within the same line as ${right}`;
+  }
+});
 
 /**
  * Matches `left` when `right` appears together with it, within a single line.
@@ -235,13 +913,18 @@ exports.AND = (left, right) => {
  * @param {TLG.Matching.Phrase} right
  * @returns {TLG.Matching.EscapedRegex}
  */
-exports.WITH = (left, right) => {
-  const reLeft = exports.asEscaped(left);
-  const reRight = exports.asEscaped(right);
-  const ahead = `(?=.*?${reRight})`;
-  const behind = `(?<=${reRight}.*?${reLeft})`;
-  return exports.toEscaped(`${reLeft}(?:${ahead}|${behind})`);
-};
+exports.WITH = (left, right) => exports.toOperator("WITH", {}, left, right);
+
+exports.defineOperator("WITHOUT", {
+  render(reLeft, reRight) {
+    const ahead = `(?!.*?${reRight})`;
+    const behind = `(?<!${reRight}.*?${reLeft})`;
+    return `${reLeft}${ahead}${behind}`;
+  },
+  explain(left, right) {
+    return `${left} NOT within the same line as ${right}`;
+  }
+});
 
 /**
  * Matches `left` when `right` does NOT appear together with it, within a single line.
@@ -250,13 +933,109 @@ exports.WITH = (left, right) => {
  * @param {TLG.Matching.Phrase} right
  * @returns {TLG.Matching.EscapedRegex}
  */
-exports.WITHOUT = (left, right) => {
-  const reLeft = exports.asEscaped(left);
-  const reRight = exports.asEscaped(right);
-  const ahead = `(?!.*?${reRight})`;
-  const behind = `(?<!${reRight}.*?${reLeft})`;
-  return exports.toEscaped(`${reLeft}${ahead}${behind}`);
-};
+exports.WITHOUT = (left, right) => exports.toOperator("WITHOUT", {}, left, right);
+
+exports.defineOperator("IN_SENTENCE", {
+  render(reLeft, reRight) {
+    const ahead = `(?=${SC}*?${reRight})`;
+    const behind = `(?<=${reRight}${SC}*?${reLeft})`;
+    return `${reLeft}(?:${ahead}|${behind})`;
+  },
+  explain(left, right) {
+    return `${left} within the same sentence as ${right}`;
+  }
+});
+
+/**
+ * Matches `left` when `right` appears together with it, within a single sentence.
+ * 
+ * Sentences end at `.`, `!`, `?`, line-breaks and closing quotes.  Abbreviations, like
+ * "Mr.", will also end a sentence.
+ * 
+ * @param {TLG.Matching.Phrase} left
+ * @param {TLG.Matching.Phrase} right
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.IN_SENTENCE = (left, right) => exports.toOperator("IN_SENTENCE", {}, left, right);
+
+exports.defineOperator("NOT_IN_SENTENCE", {
+  render(reLeft, reRight) {
+    const ahead = `(?!${SC}*?${reRight})`;
+    const behind = `(?<!${reRight}${SC}*?${reLeft})`;
+    return `${reLeft}${ahead}${behind}`;
+  },
+  explain(left, right) {
+    return `${left} NOT within the same sentence as ${right}`;
+  }
+});
+
+/**
+ * Matches `left` when `right` does NOT appear together with it, within a single sentence.
+ * 
+ * @param {TLG.Matching.Phrase} left
+ * @param {TLG.Matching.Phrase} right
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.NOT_IN_SENTENCE = (left, right) => exports.toOperator("NOT_IN_SENTENCE", {}, left, right);
+
+exports.defineOperator("IN_PARAGRAPH", {
+  render(reLeft, reRight) {
+    const ahead = `(?=${PC}*?${reRight})`;
+    const behind = `(?<=${reRight}${PC}*?${reLeft})`;
+    return `${reLeft}(?:${ahead}|${behind})`;
+  },
+  explain(left, right) {
+    return `${left} within the same paragraph as ${right}`;
+  }
+});
+
+/**
+ * Matches `left` when `right` appears together with it, within a single paragraph.
+ * 
+ * Paragraphs are separated by blank lines, so unlike `WITH`, a single line-break
+ * will not end one.
+ * 
+ * @param {TLG.Matching.Phrase} left
+ * @param {TLG.Matching.Phrase} right
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.IN_PARAGRAPH = (left, right) => exports.toOperator("IN_PARAGRAPH", {}, left, right);
+
+exports.defineOperator("NOT_IN_PARAGRAPH", {
+  render(reLeft, reRight) {
+    const ahead = `(?!${PC}*?${reRight})`;
+    const behind = `(?<!${reRight}${PC}*?${reLeft})`;
+    return `${reLeft}${ahead}${behind}`;
+  },
+  explain(left, right) {
+    return `${left} NOT within the same paragraph as ${right}`;
+  }
+});
+
+/**
+ * Matches `left` when `right` does NOT appear together with it, within a single paragraph.
+ * 
+ * @param {TLG.Matching.Phrase} left
+ * @param {TLG.Matching.Phrase} right
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.NOT_IN_PARAGRAPH = (left, right) => exports.toOperator("NOT_IN_PARAGRAPH", {}, left, right);
+
+exports.defineOperator("NEAR", {
+  render(reLeft, reRight, options, classes) {
+    const { range: [lo, hi], sameLine } = options;
+    const sep = renderSeparator(lo, hi, sameLine, classes);
+    const ahead = `(?=${sep}${reRight})`;
+    const behind = `(?<=${reRight}${sep}${reLeft})`;
+    return `${reLeft}(?:${ahead}|${behind})`;
+  },
+  explain(left, right, options) {
+    const { range: [lo, hi], sameLine } = options;
+    const words = lo === 0 ? `${hi}` : `${lo} to ${hi}`;
+    const where = sameLine ? " on the same line" : "";
+    return `${left} within ${words} words of ${right}${where}`;
+  }
+});
 
 exports.NEAR = asExtBinaryOp(
   /**
@@ -274,34 +1053,196 @@ exports.NEAR = asExtBinaryOp(
    * @returns {TLG.Matching.BinaryOperator}
    */
   (range = 10, sameLine = true) => {
-    const [lo, hi] = dew(() => {
-      checks: {
-        if (is.number(range)) {
-          if (range <= 0) return [0, 0];
-          return [0, range];
-        }
-        if (!is.array(range)) break checks;
-        if (range.length !== 2) break checks;
-        return [Math.min(range[0], range[1]), Math.max(range[0], range[1])];
-      }
-      throw new TypeError(`Not valid for \`range\`: ${range}`);
-    });
+    const [lo, hi] = toRange(range);
 
     /** @type {TLG.Matching.BinaryOperator} */
-    const matcher = (left, right) => {
-      const reLeft = exports.asEscaped(left);
-      const reRight = exports.asEscaped(right);
-      const NW = sameLine ? NWLB : "\\W";
-      const sep = `(?:${NW}+\\w+){${lo},${hi}}?\\W+`;
-      const ahead = `(?=${sep}${reRight})`;
-      const behind = `(?<=${reRight}${sep}${reLeft})`;
-      return exports.toEscaped(`${reLeft}(?:${ahead}|${behind})`);
-    };
+    const matcher = (left, right) =>
+      exports.toOperator("NEAR", { range: [lo, hi], sameLine }, left, right);
 
     return matcher;
   }
 );
 
+/**
+ * Describes the `range` option of the ordered proximity operators.
+ * 
+ * @param {[number, number]} range
+ * @param {"before" | "after"} direction
+ * @returns {string}
+ */
+const explainOrder = ([lo, hi], direction) => {
+  if (hi === 0) return `directly ${direction}`;
+  if (lo === 0) return `within ${hi} words ${direction}`;
+  return `${lo} to ${hi} words ${direction}`;
+};
+
+exports.defineOperator("BEFORE", {
+  render(reLeft, reRight, options, classes) {
+    const { range: [lo, hi], sameLine } = options;
+    const sep = renderSeparator(lo, hi, sameLine, classes);
+    return `${reLeft}(?=${sep}${reRight})`;
+  },
+  explain(left, right, options) {
+    const where = options.sameLine ? " on the same line" : "";
+    return `${left} ${explainOrder(options.range, "before")} ${right}${where}`;
+  }
+});
+
+exports.BEFORE = asExtBinaryOp(
+  /**
+   * Creates an operator that matches the left phrase when the right phrase comes after it,
+   * such as "shop" in "shop of Rook".
+   * 
+   * Supports the same options as `NEAR`; the range defaults to 10 words and the search is
+   * constrained to the same line.
+   * 
+   * @param {number | [number, number]} [range]
+   * How many words may be between the two phrases.
+   * - `number` - Up to the given number of words.
+   * - `[number, number]` - Within this range of words.
+   * @param {boolean} [sameLine]
+   * Whether to constrain the search to a single line.  Defaults to `true`.
+   * @returns {TLG.Matching.BinaryOperator}
+   */
+  (range = 10, sameLine = true) => {
+    const [lo, hi] = toRange(range);
+
+    /** @type {TLG.Matching.BinaryOperator} */
+    const matcher = (left, right) =>
+      exports.toOperator("BEFORE", { range: [lo, hi], sameLine }, left, right);
+
+    return matcher;
+  }
+);
+
+exports.FOLLOWED_BY = asExtBinaryOp(
+  /**
+   * Creates an operator that matches the left phrase when the right phrase follows it.
+   * This is the same as `BEFORE`, except the range defaults to `0`, so the right phrase
+   * must be the very next word, such as "Rook" following "Captain".
+   * 
+   * @param {number | [number, number]} [range]
+   * How many words may be between the two phrases.
+   * @param {boolean} [sameLine]
+   * Whether to constrain the search to a single line.  Defaults to `true`.
+   * @returns {TLG.Matching.BinaryOperator}
+   */
+  (range = 0, sameLine = true) => exports.BEFORE(range, sameLine)
+);
+
+exports.defineOperator("AFTER", {
+  render(reLeft, reRight, options, classes) {
+    const { range: [lo, hi], sameLine } = options;
+    const sep = renderSeparator(lo, hi, sameLine, classes);
+    return `${reLeft}(?<=${reRight}${sep}${reLeft})`;
+  },
+  explain(left, right, options) {
+    const where = options.sameLine ? " on the same line" : "";
+    return `${left} ${explainOrder(options.range, "after")} ${right}${where}`;
+  }
+});
+
+exports.AFTER = asExtBinaryOp(
+  /**
+   * Creates an operator that matches the left phrase when the right phrase comes before it,
+   * such as "shop" in "Rook's shop".
+   * 
+   * Supports the same options as `NEAR`; the range defaults to 10 words and the search is
+   * constrained to the same line.
+   * 
+   * @param {number | [number, number]} [range]
+   * How many words may be between the two phrases.
+   * - `number` - Up to the given number of words.
+   * - `[number, number]` - Within this range of words.
+   * @param {boolean} [sameLine]
+   * Whether to constrain the search to a single line.  Defaults to `true`.
+   * @returns {TLG.Matching.BinaryOperator}
+   */
+  (range = 10, sameLine = true) => {
+    const [lo, hi] = toRange(range);
+
+    /** @type {TLG.Matching.BinaryOperator} */
+    const matcher = (left, right) =>
+      exports.toOperator("AFTER", { range: [lo, hi], sameLine }, left, right);
+
+    return matcher;
+  }
+);
+
+/**
+ * For each `TLG.Matching.MentionScope`, the patterns for the start of the scope and
+ * a character within it.
+ * 
+ * @type {Record<TLG.Matching.MentionScope, { start: string, char: string }>}
+ */
+const mentionScopes = {
+  text: { start: "^", char: AC },
+  line: { start: "(?:^|\\n)", char: "." },
+  sentence: { start: SS, char: SC }
+};
+
+exports.defineOperator("AT_LEAST", {
+  render(reLeft, reRight = reLeft, options) {
+    const { count, scope } = options;
+    const { start, char } = mentionScopes[/** @type {TLG.Matching.MentionScope} */ (scope)];
+    // From the start of the scope, look ahead for the mentions, then skip to the left phrase.
+    return `(?<=${start}(?=(?:${char}*?${reRight}){${count}})${char}*)${reLeft}`;
+  },
+  explain(left, right, options) {
+    const { count, scope } = options;
+    const where = scope === "text" ? "" : ` in the same ${scope}`;
+    if (!right) return `${left}, mentioned at least ${count} times${where}`;
+    return `${left} when ${right} is mentioned at least ${count} times${where}`;
+  }
+});
+
+/**
+ * Creates an operator that matches a phrase only when it is mentioned at least `count` times,
+ * so an entry will only activate once a topic is really being discussed.  Several keys can
+ * be counted together as one topic by combining them with `ALT` first.
+ * 
+ * The operator can be given a single phrase, like `AT_LEAST(3)(ALT(...keys.religion))`,
+ * or two, in which case it matches the left phrase when the right phrase is mentioned enough;
+ * this allows it to be used as a `subOp`.
+ * 
+ * @param {number} count
+ * The minimum number of mentions.
+ * @param {TLG.Matching.MentionScope} [scope]
+ * Where the mentions are counted.  Defaults to `"text"`, the whole search range.
+ * @returns {TLG.Matching.UnaryOrBinaryOperator}
+ */
+exports.AT_LEAST = (count, scope = "text") => {
+  if (!Number.isInteger(count) || count < 1)
+    throw new TypeError(`Not valid for \`count\`: ${count}`);
+  if (!(scope in mentionScopes))
+    throw new TypeError(`Not valid for \`scope\`: ${scope}`);
+
+  /**
+   * @param {TLG.Matching.Phrase} left
+   * @param {TLG.Matching.Phrase} [right]
+   * @returns {TLG.Matching.EscapedRegex}
+   */
+  const matcher = (left, right) =>
+    exports.toOperator("AT_LEAST", { count, scope }, left, right);
+
+  return matcher;
+};
+
+exports.defineOperator("BEYOND", {
+  render(reLeft, reRight, options, classes) {
+    const { distance, sameLine } = options;
+    const sep = renderSeparator(0, distance, sameLine, classes);
+    const ahead = `(?!${sep}${reRight})`;
+    const behind = `(?<!${reRight}${sep}${reLeft})`;
+    return `${reLeft}${ahead}${behind}`;
+  },
+  explain(left, right, options) {
+    const { distance, sameLine } = options;
+    const where = sameLine ? " on the same line" : "";
+    return `${left} NOT within ${distance} words of ${right}${where}`;
+  }
+});
+
 exports.BEYOND = asExtBinaryOp(
   /**
    * Creates an operator that matches the left phrase when NOT proximity to the right phrase.
@@ -317,16 +1258,291 @@ exports.BEYOND = asExtBinaryOp(
    */
   (distance = 10, sameLine = true) => {
     /** @type {TLG.Matching.BinaryOperator} */
-    const matcher = (left, right) => {
-      const reLeft = exports.asEscaped(left);
-      const reRight = exports.asEscaped(right);
-      const NW = sameLine ? NWLB : "\\W";
-      const sep = `(?:${NW}+\\w+){0,${distance}}?\\W+`;
-      const ahead = `(?!${sep}${reRight})`;
-      const behind = `(?<!${reRight}${sep}${reLeft})`;
-      return exports.toEscaped(`${reLeft}${ahead}${behind}`);
-    };
+    const matcher = (left, right) =>
+      exports.toOperator("BEYOND", { distance, sameLine }, left, right);
   
     return matcher;
   }
-);
\ No newline at end of file
+);
+
+exports.defineOperator("IN_DIALOGUE", {
+  render(reLeft) {
+    return `(?<=${OQ}${NQ}*)${reLeft}`;
+  },
+  explain(left) {
+    return `${left} inside dialogue`;
+  }
+});
+
+/**
+ * Matches a phrase only inside quoted dialogue, such as `"Hello, Taleir."`.
+ * 
+ * Dialogue starts at an opening quote and ends at the next quote or line-break.  Both
+ * straight and curly quotes are understood; a straight quote opens dialogue when it is at
+ * the start of the text or follows whitespace.
+ * 
+ * @param {TLG.Matching.Phrase} phrase
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.IN_DIALOGUE = (phrase) => exports.toOperator("IN_DIALOGUE", {}, phrase);
+
+exports.defineOperator("IN_NARRATION", {
+  render(reLeft) {
+    return `(?<!${OQ}${NQ}*)${reLeft}`;
+  },
+  explain(left) {
+    return `${left} outside of dialogue`;
+  }
+});
+
+/**
+ * Matches a phrase only outside of quoted dialogue, in the narration.  This is the
+ * opposite of `IN_DIALOGUE`.
+ * 
+ * @param {TLG.Matching.Phrase} phrase
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.IN_NARRATION = (phrase) => exports.toOperator("IN_NARRATION", {}, phrase);
+
+/**
+ * Renders the patterns for a speaker attribution, such as the "softly said" of
+ * `Taleir softly said, "..."`, allowing up to `distance` words in it.  The words must
+ * be in the same sentence and their lengths are bounded, so the patterns are safe to
+ * use in a lookbehind.
+ * 
+ * @param {number} distance
+ * @param {TLG.Matching.CharClasses} classes
+ * @returns {{ afterQuote: string, beforeQuote: string }}
+ * - `afterQuote` - Between a closing quote and the speaker, as in `"...," said Taleir`.
+ * - `beforeQuote` - Between the speaker and an opening quote, as in `Taleir said, "..."`.
+ */
+const renderAttribution = (distance, { wc, w }) => {
+  // Not a word, quote or sentence-ending character; separates the words.
+  const NWA = `[^${wc}"\u201C\u201D\\n.!?]`;
+  return {
+    afterQuote: `${CQ}${NWA}{0,10}(?:${w}{1,40}${NWA}{1,10}){0,${distance}}`,
+    beforeQuote: `(?:${NWA}{1,10}${w}{1,40}){0,${distance}}${NWA}{0,10}?[,:]${NWA}{0,10}${OQ}`
+  };
+};
+
+exports.defineOperator("SPEAKER", {
+  render(reLeft, _reRight, options, classes) {
+    const { afterQuote, beforeQuote } = renderAttribution(options.distance, classes);
+    return `(?:(?<=${afterQuote})${reLeft}|${reLeft}(?=${beforeQuote}))`;
+  },
+  explain(left, _right, options) {
+    return `${left} as the speaker of dialogue, within ${options.distance} words of the quote`;
+  }
+});
+
+/**
+ * Matches a phrase, such as a character's name, when it is in the attribution of some
+ * dialogue, making it the speaker.  Both `"...," Taleir said` and `Taleir said, "..."`
+ * are understood.
+ * 
+ * @param {TLG.Matching.Phrase} phrase
+ * @param {number} [distance]
+ * How many other words may be between the phrase and the quote.  Defaults to `2`.
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.SPEAKER = (phrase, distance = 2) =>
+  exports.toOperator("SPEAKER", { distance }, phrase);
+
+exports.defineOperator("SPOKEN_BY", {
+  render(reLeft, reRight, options, classes) {
+    const { afterQuote, beforeQuote } = renderAttribution(options.distance, classes);
+    const ahead = `(?=${NQ}*${afterQuote}${reRight})`;
+    const behind = `(?<=${reRight}${beforeQuote}${NQ}*${reLeft})`;
+    return `${reLeft}(?:${ahead}|${behind})`;
+  },
+  explain(left, right, options) {
+    return `${left} inside dialogue spoken by ${right}, within ${options.distance} words of the quote`;
+  }
+});
+
+exports.SPOKEN_BY = asExtBinaryOp(
+  /**
+   * Creates an operator that matches the left phrase inside dialogue that is attributed
+   * to the right phrase, such as a character's name.  See `SPEAKER` for the kinds of
+   * attributions that are understood.
+   * 
+   * As a `subOp`, this allows a sub-entry to match when the parent's character says
+   * something in particular.
+   * 
+   * @param {number} [distance]
+   * How many other words may be between the speaker and the quote.  Defaults to `2`.
+   * @returns {TLG.Matching.BinaryOperator}
+   */
+  (distance = 2) => {
+    /** @type {TLG.Matching.BinaryOperator} */
+    const matcher = (left, right) =>
+      exports.toOperator("SPOKEN_BY", { distance }, left, right);
+
+    return matcher;
+  }
+);
+
+/**
+ * Renders the lookaheads that require at least `count` of `patterns` to appear, using
+ * `seek` to render the search for a single pattern.  Returns `undefined` if there are
+ * too few patterns for it to ever succeed.
+ * 
+ * @param {number} count
+ * @param {string[]} patterns
+ * @param {(pattern: string) => string} seek
+ * @returns {string | undefined}
+ */
+const renderAtLeast = (count, patterns, seek) => {
+  if (count <= 0) return "";
+  if (patterns.length < count) return undefined;
+  const [first, ...rest] = patterns;
+  const withFirst = `(?=${seek(first)})${renderAtLeast(count - 1, rest, seek)}`;
+  const withoutFirst = renderAtLeast(count, rest, seek);
+  if (withoutFirst === undefined) return withFirst;
+  return `(?:${withFirst}|${withoutFirst})`;
+};
+
+/**
+ * Renders a combinator node.
+ * 
+ * The phrases that must appear are matched at whichever of them comes first, with
+ * lookaheads checking for the rest, so each phrase only needs to be rendered twice.
+ * The phrases of a `NONE` nested within are checked against the whole scope instead.
+ * 
+ * @param {TLG.Matching.CombinatorNode} node
+ * @param {(phrase: TLG.Matching.PhraseNode) => string} render
+ * @param {TLG.Matching.CharClasses} classes
+ * @returns {string}
+ */
+const renderCombinator = (node, render, classes) => {
+  const { combinator, scope } = node;
+  const { w, NWLB } = classes;
+
+  /** @type {string[]} */
+  const required = [];
+  /** @type {string[]} */
+  const forbidden = [];
+  if (combinator === "NONE")
+    forbidden.push(...node.phrases.map(render));
+  else for (const phrase of node.phrases) {
+    if (phrase.type === "combinator" && phrase.combinator === "NONE")
+      forbidden.push(...phrase.phrases.map(render));
+    else
+      required.push(render(phrase));
+  }
+
+  const anyForbidden = `(?:${forbidden.join("|")})`;
+  const count = combinator === "ANY_OF" ? node.count ?? 1 : required.length;
+
+  if (is.number(scope)) {
+    if (required.length === 0)
+      throw new TypeError("A proximity scope needs at least one phrase that must appear.");
+
+    const ahead = `(?:${w}+${NWLB}+){0,${scope + 1}}?`;
+    // Bounded, so it is safe to use in a lookbehind.
+    const behind = `${NWLB}{1,10}(?:${w}{1,40}${NWLB}{1,10}){0,${scope}}`;
+    const checkRequired = renderAtLeast(count, required, (re) => `${ahead}${re}`) ?? "(?!)";
+    const checkForbidden = forbidden.length === 0 ? ""
+      : `(?!${ahead}${anyForbidden})(?<!${anyForbidden}${behind})`;
+    return `${checkForbidden}${checkRequired}(?:${required.join("|")})`;
+  }
+
+  const { start, char } = mentionScopes[scope];
+  const checkForbidden = forbidden.length === 0 ? ""
+    : `(?<=${start}(?!${char}*?${anyForbidden})${char}*)`;
+  if (required.length === 0) return checkForbidden;
+
+  const checkRequired = renderAtLeast(count, required, (re) => `${char}*?${re}`) ?? "(?!)";
+  return `${checkForbidden}${checkRequired}(?:${required.join("|")})`;
+};
+
+/**
+ * Splits the arguments of a combinator into its options and phrases.
+ * 
+ * @param {Array<TLG.Matching.Phrase | Partial<TLG.Matching.CombinatorOptions>>} args
+ * @returns {[TLG.Matching.CombinatorScope, TLG.Matching.PhraseNode[]]}
+ */
+const toCombinatorArgs = (args) => {
+  const [first, ...rest] = args;
+  const hasOptions = is.pojo(first) && !exports.isEscaped(first);
+  const options = hasOptions ? /** @type {Partial<TLG.Matching.CombinatorOptions>} */ (first) : {};
+  const phrases = /** @type {TLG.Matching.Phrase[]} */ (hasOptions ? rest : args);
+
+  const { scope = "text" } = options;
+  if (is.number(scope) ? scope < 0 : !(scope in mentionScopes))
+    throw new TypeError(`Not valid for \`scope\`: ${scope}`);
+  if (phrases.length === 0)
+    throw new TypeError("At least one phrase is required.");
+
+  return [scope, phrases.map((phrase) => exports.asEscaped(phrase).node)];
+};
+
+/**
+ * Creates a phrase that matches when all of the given phrases appear within the scope.
+ * This is far more compact than nesting several `AND` or `WITH` expressions.
+ * 
+ * The phrases may be preceded by an options object, with a `scope` of:
+ * - `"text"` - Anywhere in the search range; the default.
+ * - `"line"` or `"sentence"` - All within the same line or sentence.
+ * - `number` - All within this many words of each other, on the same line.
+ * 
+ * Phrases created with `NONE` can be included to require that their phrases do NOT
+ * appear within the same scope, as in `ALL({ scope: "line" }, "taleir", "shop", NONE("rook"))`.
+ * With a proximity scope, they must not be within that many words of the first phrase
+ * that was found.
+ * 
+ * @param {...(TLG.Matching.Phrase | Partial<TLG.Matching.CombinatorOptions>)} args
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.ALL = (...args) => {
+  const [scope, phrases] = toCombinatorArgs(args);
+  return exports.fromNode({ type: "combinator", combinator: "ALL", scope, phrases });
+};
+
+/**
+ * Creates a phrase that matches when at least `count` of the given phrases appear within
+ * the scope.  It accepts the same options as `ALL`, after the `count`.
+ * 
+ * The pattern grows with the number of ways to choose `count` of the phrases, so this is
+ * best kept to a handful of phrases.  Phrases created with `NONE` are not counted; they
+ * must not appear at all.
+ * 
+ * @param {number} count
+ * @param {...(TLG.Matching.Phrase | Partial<TLG.Matching.CombinatorOptions>)} args
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.ANY_OF = (count, ...args) => {
+  if (!Number.isInteger(count) || count < 1)
+    throw new TypeError(`Not valid for \`count\`: ${count}`);
+  const [scope, phrases] = toCombinatorArgs(args);
+  return exports.fromNode({ type: "combinator", combinator: "ANY_OF", scope, count, phrases });
+};
+
+/**
+ * Creates a phrase that matches when none of the given phrases appear within the scope.
+ * It accepts the same options as `ALL`.
+ * 
+ * On its own, it matches at the start of each text, line or sentence that lacks the
+ * phrases.  It is most useful within `ALL` or `ANY_OF`, where it uses their scope
+ * instead; a proximity scope can only be used there.
+ * 
+ * @param {...(TLG.Matching.Phrase | Partial<TLG.Matching.CombinatorOptions>)} args
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.NONE = (...args) => {
+  const [scope, phrases] = toCombinatorArgs(args);
+  return exports.fromNode({ type: "combinator", combinator: "NONE", scope, phrases });
+};
+
+/**
+ * Parses a textual query into a phrase, such as `"taleir" NEAR(5) (jasco | city | =rook)`.
+ * See `parsing.parse` for the syntax.
+ * 
+ * @param {string} query
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.parse = (query) => {
+  // Required here, as the parsing module builds on this one.
+  const { parse } = require("./parsing");
+  return parse(query);
+};
\ No newline at end of file
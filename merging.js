@@ -0,0 +1,325 @@
+const { dew, is } = require("./utils");
+
+/** @typedef {import("./merging.types").MergeOptions} MergeOptions */
+/** @typedef {import("./merging.types").MergeConflict} MergeConflict */
+/** @typedef {import("./merging.types").MergeResult} MergeResult */
+/** @typedef {Pick<MergeConflict, "field" | "base" | "existing" | "built">} FieldConflict */
+/** @typedef {Map<string, string | undefined>} Fields */
+
+/**
+ * The default `MergeOptions`.
+ * 
+ * @type {Pick<MergeOptions, "onConflict">}
+ */
+const mergeDefaults = {
+  onConflict: "built"
+};
+
+/** Properties that NovelAI maintains itself, so they are never merged. */
+const untrackedProps = new Set(["id", "lastUpdatedAt"]);
+
+/**
+ * Flattens an object into its properties, encoded as JSON so they can be compared.
+ * Nested objects, like `contextConfig`, are flattened one level further, so each of
+ * their properties is merged on its own.
+ * 
+ * @param {Record<string, any> | undefined} obj
+ * @returns {Fields}
+ */
+const fieldsOf = (obj) => {
+  /** @type {Fields} */
+  const fields = new Map();
+  if (!obj) return fields;
+
+  for (const [key, value] of Object.entries(obj)) {
+    if (untrackedProps.has(key)) continue;
+    if (!is.pojo(value)) {
+      fields.set(key, JSON.stringify(value));
+      continue;
+    }
+    for (const [subKey, subValue] of Object.entries(value))
+      fields.set(`${key}.${subKey}`, JSON.stringify(subValue));
+  }
+  return fields;
+};
+
+/**
+ * Decodes a value from `fieldsOf`.
+ * 
+ * @param {string | undefined} encoded
+ * @returns {unknown}
+ */
+const decode = (encoded) => encoded === undefined ? undefined : JSON.parse(encoded);
+
+/**
+ * Sets a property, as named by `fieldsOf`, to an encoded value.  The property is
+ * deleted if the value is `undefined`.
+ * 
+ * @param {Record<string, any>} target
+ * @param {string} field
+ * @param {string | undefined} encoded
+ * @returns {void}
+ */
+const setField = (target, field, encoded) => {
+  const value = decode(encoded);
+  const dot = field.indexOf(".");
+  const [owner, key] = dot === -1 ? [target, field] : dew(() => {
+    const ownerKey = field.slice(0, dot);
+    target[ownerKey] = { ...target[ownerKey] };
+    return [target[ownerKey], field.slice(dot + 1)];
+  });
+
+  if (value === undefined) delete owner[key];
+  else owner[key] = value;
+};
+
+/**
+ * Checks if two objects have the same properties, other than those NovelAI maintains.
+ * 
+ * @param {Record<string, any>} a
+ * @param {Record<string, any>} b
+ * @returns {boolean}
+ */
+const isSame = (a, b) => {
+  const aFields = fieldsOf(a);
+  const bFields = fieldsOf(b);
+  if (aFields.size !== bFields.size) return false;
+  for (const [field, value] of aFields)
+    if (bFields.get(field) !== value) return false;
+  return true;
+};
+
+/**
+ * Performs a three-way merge of the properties of an object.  A property changed on
+ * only one side since `base` takes that side's value; one changed on both sides is
+ * a conflict, settled by `onConflict`.
+ * 
+ * Without a `base`, the built value is used for every property the builder produced
+ * and the others are kept as they are.
+ * 
+ * @template {Record<string, any>} T
+ * @param {T | undefined} base
+ * @param {T} existing
+ * @param {T} built
+ * @param {MergeOptions["onConflict"]} onConflict
+ * @returns {{ merged: T, conflicts: FieldConflict[] }}
+ */
+const mergeFields = (base, existing, built, onConflict) => {
+  const baseFields = fieldsOf(base);
+  const existingFields = fieldsOf(existing);
+  const builtFields = fieldsOf(built);
+
+  /** @type {T} */
+  const merged = JSON.parse(JSON.stringify(existing));
+  /** @type {FieldConflict[]} */
+  const conflicts = [];
+
+  const fields = new Set([...baseFields.keys(), ...existingFields.keys(), ...builtFields.keys()]);
+  for (const field of fields) {
+    const fromExisting = existingFields.get(field);
+    const fromBuilt = builtFields.get(field);
+    if (fromExisting === fromBuilt) continue;
+
+    const fromBase = dew(() => {
+      if (base) return baseFields.get(field);
+      return fromBuilt === undefined ? undefined : fromExisting;
+    });
+    // Only changed in NovelAI; keep that change.
+    if (fromBuilt === fromBase) continue;
+
+    const isConflict = fromExisting !== fromBase;
+    if (isConflict) conflicts.push({
+      field,
+      base: decode(fromBase),
+      existing: decode(fromExisting),
+      built: decode(fromBuilt)
+    });
+    if (!isConflict || onConflict === "built") setField(merged, field, fromBuilt);
+  }
+
+  return { merged, conflicts };
+};
+
+/**
+ * Creates a lookup for entries that finds each entry only once.  Entries are found
+ * by their `id`, if both have one, and then by their display name.
+ * 
+ * @param {NAI.LoreEntry[]} entries
+ */
+const indexEntries = (entries) => {
+  const remaining = new Set(entries);
+
+  return {
+    /**
+     * Finds the entry that matches `entry`, removing it from the lookup.
+     * 
+     * @param {NAI.LoreEntry} entry
+     * @returns {NAI.LoreEntry | undefined}
+     */
+    take(entry) {
+      const found = dew(() => {
+        const candidates = [...remaining];
+        if (entry.id) {
+          const byId = candidates.find((candidate) => candidate.id === entry.id);
+          if (byId) return byId;
+        }
+        return candidates.find((candidate) => candidate.displayName === entry.displayName);
+      });
+      if (found) remaining.delete(found);
+      return found;
+    },
+    /**
+     * The entries that have not been found, in their original order.
+     * 
+     * @returns {NAI.LoreEntry[]}
+     */
+    remaining() {
+      return [...remaining];
+    }
+  };
+};
+
+/**
+ * Merges a newly built lorebook into one exported from NovelAI, so that rebuilding
+ * does not undo the changes made there.
+ * 
+ * - Entries are matched by their `id`, when both have one, or else by display name.
+ * - Properties changed only in NovelAI, or only in the source, keep that change.
+ *   When one was changed in both, it is reported as a conflict and settled with the
+ *   `onConflict` option.  The base lorebook from the previous build is needed to
+ *   tell these apart; see `MergeOptions.base`.
+ * - Entries that were not built are kept, unless they were removed from the source
+ *   and were not edited in NovelAI since.  Entries deleted in NovelAI that are still
+ *   in the source are added back.
+ * - `lastUpdatedAt` is kept for entries that were not changed, and is set to the
+ *   current time for the others.  `id` is kept too, or taken from the built entry if
+ *   the existing entry has none.
+ * - Categories already in the existing lorebook are kept as they are; built ones it
+ *   lacks are added.  The newer of the two `lorebookVersion` is used.
+ * 
+ * @param {NAI.LoreBook} existing
+ * The lorebook exported from NovelAI.
+ * @param {NAI.LoreBook} built
+ * The lorebook from `buildEntries`.
+ * @param {Partial<MergeOptions>} [options]
+ * @returns {MergeResult}
+ */
+exports.mergeLorebook = (existing, built, options) => {
+  const { base, onConflict, now = Date.now() } = { ...mergeDefaults, ...options };
+
+  // Categories made in NovelAI have their own ids; use those for built categories
+  // of the same name.
+  const { categories, categoryIds } = dew(() => {
+    const existingCategories = existing.categories ?? [];
+    /** @type {Map<string, string>} */
+    const categoryIds = new Map();
+    /** @type {NAI.LoreCategory[]} */
+    const added = [];
+    for (const category of built.categories ?? []) {
+      const match = existingCategories.find(
+        (other) => other.id === category.id || other.name === category.name
+      );
+      if (match) categoryIds.set(category.id, match.id);
+      else added.push(category);
+    }
+    return { categories: [...existingCategories, ...added], categoryIds };
+  });
+
+  const builtEntries = built.entries.map((builtEntry) => {
+    const { category } = builtEntry;
+    if (!category || !categoryIds.has(category)) return builtEntry;
+    return { ...builtEntry, category: categoryIds.get(category) };
+  });
+
+  const existingIndex = indexEntries(existing.entries);
+  const baseIndex = indexEntries(base?.entries ?? []);
+
+  /** @type {MergeResult} */
+  const result = {
+    lorebook: existing,
+    added: [],
+    updated: [],
+    removed: [],
+    kept: [],
+    conflicts: []
+  };
+
+  /** @type {NAI.LoreEntry[]} */
+  const entries = [];
+  for (const builtEntry of builtEntries) {
+    const { displayName } = builtEntry;
+    const baseEntry = baseIndex.take(builtEntry);
+    const existingEntry = existingIndex.take(builtEntry);
+
+    if (!existingEntry) {
+      entries.push({ ...builtEntry, lastUpdatedAt: now });
+      result.added.push(displayName);
+      continue;
+    }
+
+    const { merged, conflicts } = mergeFields(baseEntry, existingEntry, builtEntry, onConflict);
+    // An entry from a lorebook version without ids takes the id it was built with.
+    if (!merged.id && builtEntry.id) merged.id = builtEntry.id;
+    for (const conflict of conflicts)
+      result.conflicts.push({ kind: "edited", displayName, ...conflict, resolution: onConflict });
+
+    if (!isSame(merged, existingEntry)) {
+      merged.lastUpdatedAt = now;
+      result.updated.push(displayName);
+    }
+    entries.push(merged);
+  }
+
+  for (const existingEntry of existingIndex.remaining()) {
+    const { displayName } = existingEntry;
+    const baseEntry = baseIndex.take(existingEntry);
+
+    if (baseEntry && isSame(existingEntry, baseEntry)) {
+      result.removed.push(displayName);
+      continue;
+    }
+
+    if (baseEntry) result.conflicts.push({
+      kind: "removed",
+      displayName,
+      base: baseEntry,
+      existing: existingEntry,
+      built: undefined,
+      resolution: "existing"
+    });
+    entries.push(existingEntry);
+    result.kept.push(displayName);
+  }
+
+  const settings = dew(() => {
+    const { merged, conflicts } = mergeFields(base?.settings, existing.settings ?? {}, built.settings, onConflict);
+    for (const conflict of conflicts)
+      result.conflicts.push({ kind: "edited", ...conflict, field: `settings.${conflict.field}`, resolution: onConflict });
+    return merged;
+  });
+
+  const lorebookVersion = /** @type {NAI.LoreBookVersion} */ (
+    Math.max(existing.lorebookVersion, built.lorebookVersion)
+  );
+  result.lorebook = { ...existing, lorebookVersion, settings, entries };
+  if (categories.length > 0) result.lorebook.categories = categories;
+  return result;
+};
+
+/**
+ * Formats a conflict as a single line of text.
+ * 
+ * @param {MergeConflict} conflict
+ * @returns {string}
+ */
+exports.formatConflict = (conflict) => {
+  const { kind, displayName, field, resolution } = conflict;
+  if (kind === "removed")
+    return `${displayName}: removed from the source, but edited in NovelAI; it was kept`;
+
+  const where = displayName ? `${displayName} (${field})` : `${field}`;
+  const [used, discarded] = resolution === "built"
+    ? [conflict.built, conflict.existing]
+    : [conflict.existing, conflict.built];
+  return `${where}: edited on both sides; used ${JSON.stringify(used)} instead of ${JSON.stringify(discarded)}`;
+};
\ No newline at end of file
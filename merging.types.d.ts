@@ -0,0 +1,78 @@
+export interface MergeOptions {
+  /**
+   * The lorebook as it was last built, before it was imported into NovelAI, such as
+   * the file written by the previous run of the build script.
+   * 
+   * This is what allows manual edits to be told apart from changes to the source.
+   * Without it, the built values are always used, though properties the builder does
+   * not produce are still kept, and no conflicts can be found.
+   */
+  base: NAI.LoreBook;
+
+  /**
+   * Which value to use when a property was changed both in NovelAI and in the source.
+   * - `"built"` - Use the value from the new build.
+   * - `"existing"` - Keep the value that was edited in NovelAI.
+   * 
+   * Defaults to `"built"`.
+   */
+  onConflict: "built" | "existing";
+
+  /**
+   * The time to give as `lastUpdatedAt` to entries that were added or changed.
+   * 
+   * Defaults to `Date.now()`.
+   */
+  now: number;
+}
+
+export interface MergeConflict {
+  /**
+   * What kind of conflict this is.
+   * - `"edited"` - A property was changed both in NovelAI and in the source.
+   * - `"removed"` - The entry was removed from the source, but was edited in NovelAI;
+   *   it is kept.
+   */
+  kind: "edited" | "removed";
+
+  /** The display name of the entry; absent for the lorebook's `settings`. */
+  displayName?: string;
+
+  /**
+   * For an `"edited"` conflict, the property that was changed, like `"text"` or
+   * `"contextConfig.prefix"`.
+   */
+  field?: string;
+
+  /** The value in the base lorebook. */
+  base: unknown;
+
+  /** The value in the lorebook exported from NovelAI. */
+  existing: unknown;
+
+  /** The value in the new build. */
+  built: unknown;
+
+  /** Which of the values was used. */
+  resolution: "built" | "existing";
+}
+
+export interface MergeResult {
+  /** The merged lorebook. */
+  lorebook: NAI.LoreBook;
+
+  /** The display names of entries that were not in the existing lorebook. */
+  added: string[];
+
+  /** The display names of entries that were changed by the new build. */
+  updated: string[];
+
+  /** The display names of entries that were removed from the source. */
+  removed: string[];
+
+  /** The display names of entries that were kept, as they were not built. */
+  kept: string[];
+
+  /** The places where the existing lorebook and the new build disagree. */
+  conflicts: MergeConflict[];
+}
\ No newline at end of file
@@ -0,0 +1,159 @@
+/** @typedef {TLG.Matching.Inflection} Inflection */
+/** @typedef {Partial<Record<Inflection, string | string[]>>} IrregularForms */
+
+/** The inflections of verbs, which are only produced when asked for. */
+const verbInflections = /** @type {Inflection[]} */ (["ing", "ed"]);
+
+/**
+ * Words that do not follow the usual rules, by their base form.  Only the inflections
+ * given here are overridden; the others still follow the rules.
+ * 
+ * New words can be added to this object to make them available to every `WORD` phrase.
+ * 
+ * @type {Record<string, IrregularForms>}
+ */
+exports.irregular = {
+  // Nouns.
+  man: { plural: "men" },
+  woman: { plural: "women" },
+  child: { plural: "children" },
+  person: { plural: ["people", "persons"] },
+  mouse: { plural: "mice" },
+  louse: { plural: "lice" },
+  goose: { plural: "geese" },
+  foot: { plural: "feet" },
+  tooth: { plural: "teeth" },
+  ox: { plural: "oxen" },
+  deer: { plural: [] },
+  sheep: { plural: [] },
+  fish: { plural: "fishes" },
+  dwarf: { plural: ["dwarves", "dwarfs"] },
+  // Verbs.
+  be: { plural: "is", ing: "being", ed: ["was", "were", "been"] },
+  have: { plural: "has", ed: "had" },
+  do: { plural: "does", ed: ["did", "done"] },
+  go: { plural: "goes", ed: ["went", "gone"] },
+  say: { ed: "said" },
+  make: { ed: "made" },
+  see: { ed: ["saw", "seen"] },
+  come: { ed: "came" },
+  take: { ed: ["took", "taken"] },
+  give: { ed: ["gave", "given"] },
+  run: { ed: "ran" },
+  fight: { ed: "fought" },
+  fly: { ed: ["flew", "flown"] }
+};
+
+/** Matches a word ending in a consonant followed by a `y`. */
+const reConsonantY = /[^aeiou]y$/;
+
+/** Matches a word that needs `-es` for its plural. */
+const reSibilant = /(?:s|x|z|ch|sh)$/;
+
+/**
+ * Matches a word whose `-f` or `-fe` becomes `-ves` in its plural, like "wolf" or
+ * "housewife".  Most words ending in `-f` just take an `-s`, like "cafe" or "gulf".
+ */
+const reFToVes = /(?:(?:kni|li|wi)fe|(?:wol|hal|el|cal|lea|loa|shea|thie|hoo|scar)f)$/;
+
+/** Matches a short word ending in a single vowel and consonant, like "run" or "stop". */
+const reShortSyllable = /^[^aeiou]*[aeiou][^aeiouwxy]$/;
+
+/** Matches a word ending in a silent `e`, like "make", but not "see" or "free". */
+const reSilentE = /[^aeiouy]e$/;
+
+/**
+ * The rules for each inflection.  Each receives the lowercase word and returns the
+ * suffix to add and how many letters of the word it replaces.
+ * 
+ * @type {Record<Inflection, (word: string) => [suffix: string, replaces: number]>}
+ */
+const rules = {
+  plural: (word) => {
+    if (reSibilant.test(word)) return ["es", 0];
+    if (reConsonantY.test(word)) return ["ies", 1];
+    if (reFToVes.test(word)) return ["ves", word.endsWith("fe") ? 2 : 1];
+    return ["s", 0];
+  },
+  ing: (word) => {
+    if (word.endsWith("ie")) return ["ying", 2];
+    if (reSilentE.test(word)) return ["ing", 1];
+    if (reShortSyllable.test(word)) return [`${word.slice(-1)}ing`, 0];
+    return ["ing", 0];
+  },
+  ed: (word) => {
+    if (word.endsWith("e")) return ["d", 0];
+    if (reConsonantY.test(word)) return ["ied", 1];
+    if (reShortSyllable.test(word)) return [`${word.slice(-1)}ed`, 0];
+    return ["ed", 0];
+  }
+};
+
+/**
+ * Checks if a string has letters and they are all in upper-case.
+ * 
+ * @param {string} str
+ * @returns {boolean}
+ */
+const isUpper = (str) => str !== str.toLowerCase() && str === str.toUpperCase();
+
+/**
+ * Checks if a whole word is written in capitals, like "WOLF".
+ * 
+ * @param {string} word
+ * @returns {boolean}
+ */
+const isShouting = (word) => word.length > 1 && isUpper(word);
+
+/**
+ * Makes a form follow the case of the word it came from, so "Man" becomes "Men" and
+ * "MAN" becomes "MEN".
+ * 
+ * @param {string} word
+ * @param {string} form
+ * @returns {string}
+ */
+const matchCase = (word, form) => {
+  if (isShouting(word)) return form.toUpperCase();
+  if (isUpper(word[0])) return `${form.slice(0, 1).toUpperCase()}${form.slice(1)}`;
+  return form;
+};
+
+/**
+ * Produces the inflected forms of an English word, such as "wolves" from "wolf" or
+ * "running" and "ran" from "run".  The word itself is not included.
+ * 
+ * Only the plural is produced by default, so nouns do not get the forms of verbs; the
+ * forms of verbs are produced when asked for with `inflections`, or when given.
+ * 
+ * The forms keep the case of the word, so "Wolf" becomes "Wolves".  Possessives, like
+ * "wolf's" and "wolves'", need no forms of their own, since the apostrophe ends the word.
+ * 
+ * @param {string} word
+ * The base form of the word, such as a singular noun or the infinitive of a verb.
+ * @param {Partial<TLG.Matching.WordOptions>} [options]
+ * @returns {string[]}
+ */
+exports.inflect = (word, options = {}) => {
+  const lower = word.toLowerCase();
+  const known = exports.irregular[lower] ?? {};
+  const inflections = options.inflections
+    ?? ["plural", ...verbInflections.filter((inflection) => options[inflection] != null)];
+
+  /** @type {string[]} */
+  const forms = [];
+  for (const inflection of inflections) {
+    const override = options[inflection] ?? known[inflection];
+    if (override != null) {
+      const overrides = typeof override === "string" ? [override] : override;
+      forms.push(...overrides.map((form) => matchCase(word, form)));
+      continue;
+    }
+    const [suffix, replaces] = rules[inflection](lower);
+    // Only the suffix needs its case matched; the rest of the word is kept as it is.
+    const stem = word.slice(0, word.length - replaces);
+    forms.push(`${stem}${isShouting(word) ? suffix.toUpperCase() : suffix}`);
+  }
+
+  return [...new Set(forms)].filter((form) => form !== word);
+};
\ No newline at end of file
@@ -0,0 +1,262 @@
+const matching = require("./matching");
+
+/** @typedef {TLG.Matching.PhraseNode} PhraseNode */
+/** @typedef {Map<string, TrieNode>} TrieNode */
+
+/** The key in a `TrieNode` that marks the end of a word. */
+const END = "";
+
+/** Matches a pattern for a single character, which needs no group to be made optional. */
+const reSingleChar = /^(?:\\.|[^\\()[\]{}|?*+^$.])$/;
+
+/**
+ * Builds a trie from a list of words.  The order the words were provided in is
+ * retained as best it can, so the preference order of the alternatives is kept.
+ * 
+ * @param {string[]} words
+ * @returns {TrieNode}
+ */
+const buildTrie = (words) => {
+  /** @type {TrieNode} */
+  const root = new Map();
+  for (const word of words) {
+    let node = root;
+    for (const char of word) {
+      const next = node.get(char) ?? new Map();
+      node.set(char, next);
+      node = next;
+    }
+    node.set(END, new Map());
+  }
+  return root;
+};
+
+/**
+ * Renders each branch of a trie node as a pattern.  An empty string will be among
+ * the branches if a word ends at this node.
+ * 
+ * @param {TrieNode} node
+ * @param {boolean} greedy
+ * @returns {string[]}
+ */
+const renderBranches = (node, greedy) => {
+  /** @type {string[]} */
+  const branches = [];
+  for (const [char, child] of node) {
+    if (char === END) branches.push("");
+    else branches.push(`${matching.escapeRegExp(char)}${renderGroup(child, greedy)}`);
+  }
+  return branches;
+};
+
+/**
+ * Renders a trie node as a pattern that can be safely concatenated onto another.
+ * 
+ * @param {TrieNode} node
+ * @param {boolean} greedy
+ * @returns {string}
+ */
+const renderGroup = (node, greedy) => {
+  const branches = renderBranches(node, greedy);
+  if (branches.length === 1) return branches[0];
+
+  // A single optional branch can use a quantifier instead of an alternation.
+  // The empty branch being first means the shorter match was preferred.
+  if (branches.length === 2 && branches.includes("")) {
+    const [branch] = branches.filter(Boolean);
+    const lazy = branches[0] === "" && !greedy ? "?" : "";
+    const atom = reSingleChar.test(branch) ? branch : `(?:${branch})`;
+    return `${atom}?${lazy}`;
+  }
+
+  return `(?:${branches.join("|")})`;
+};
+
+/**
+ * Renders several words as a single escaped pattern that matches any of them, with
+ * their shared prefixes factored out, such as `wol(?:f|ves)`.
+ * 
+ * @param {string[]} words
+ * @param {boolean} [greedy]
+ * Whether optional parts may match as much as they can, rather than keeping the order
+ * of the words as their preference.  This gives shorter patterns, like `gods?`, where
+ * the order of the words does not matter.
+ * @returns {string}
+ */
+exports.compactWords = (words, greedy = false) => {
+  const branches = renderBranches(buildTrie(words), greedy);
+  return branches.length === 1 ? branches[0] : `(?:${branches.join("|")})`;
+};
+
+/**
+ * Combines several words with the same mode and case-sensitivity into a single
+ * pattern, factoring out their shared prefixes and boundaries.
+ * 
+ * @param {Omit<TLG.Matching.WordNode, "word" | "forms">} group
+ * @param {string[]} words
+ * @param {Partial<TLG.Matching.RenderOptions>} options
+ * @returns {PhraseNode}
+ */
+const combineWords = ({ mode, caseSensitive }, words, options) => {
+  const body = exports.compactWords(words);
+  /** @type {TLG.Matching.RegexNode} */
+  const combined = { type: "regex", source: matching.renderWord(mode, body, options, words) };
+  if (caseSensitive) combined.caseSensitive = true;
+  return combined;
+};
+
+/**
+ * Optimizes a single alternation node:
+ * - Nested alternations are flattened into this one.
+ * - Duplicate alternates are removed.
+ * - Words of the same mode and case-sensitivity, including the forms of `WORD` phrases,
+ *   are combined into a trie-style pattern.
+ * - An alternation with only one alternate is replaced by that alternate.
+ * 
+ * @param {TLG.Matching.AltNode} node
+ * @param {Partial<TLG.Matching.RenderOptions>} options
+ * @returns {PhraseNode}
+ */
+const optimizeAlt = (node, options) => {
+  const flattened = node.alternates.flatMap((alt) => alt.type === "alt" ? alt.alternates : [alt]);
+
+  // Group up the words by their mode and case-sensitivity.  Each group takes the
+  // place of the first word of that group.
+  /** @typedef {{ group: Omit<TLG.Matching.WordNode, "word" | "forms">, words: string[] }} WordGroup */
+  /** @type {Map<string, WordGroup>} */
+  const wordGroups = new Map();
+  /** @type {Array<PhraseNode | WordGroup>} */
+  const slots = [];
+  for (const alt of flattened) {
+    if (alt.type !== "word") {
+      slots.push(alt);
+      continue;
+    }
+    const { word, forms = [], ...group } = alt;
+    const groupKey = `${alt.mode}${alt.caseSensitive ? ":cs" : ""}`;
+    const existing = wordGroups.get(groupKey);
+    if (existing) existing.words.push(word, ...forms);
+    else {
+      const newGroup = { group, words: [word, ...forms] };
+      wordGroups.set(groupKey, newGroup);
+      slots.push(newGroup);
+    }
+  }
+
+  /** @type {PhraseNode[]} */
+  const grouped = slots.map((slot) => {
+    if ("type" in slot) return slot;
+    const words = [...new Set(slot.words)];
+    if (words.length === 1) return { ...slot.group, word: words[0] };
+    return combineWords(slot.group, words, options);
+  });
+
+  // Remove duplicates by their rendered pattern and case-sensitivity.
+  const seen = new Set();
+  const alternates = grouped.filter((alt) => {
+    const cased = "caseSensitive" in alt && alt.caseSensitive ? "cs:" : "";
+    const pattern = `${cased}${matching.render(alt, options)}`;
+    if (seen.has(pattern)) return false;
+    seen.add(pattern);
+    return true;
+  });
+
+  if (alternates.length === 1) return alternates[0];
+  return { type: "alt", alternates };
+};
+
+/**
+ * Finds the index of the parenthesis that closes the group opened at `openIndex`,
+ * accounting for escapes and character classes.
+ * 
+ * @param {string} pattern
+ * @param {number} openIndex
+ * @returns {number}
+ */
+const findGroupEnd = (pattern, openIndex) => {
+  let depth = 0;
+  let inClass = false;
+  for (let i = openIndex; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") { i += 1; continue; }
+    if (inClass) { if (char === "]") inClass = false; continue; }
+    if (char === "[") { inClass = true; continue; }
+    if (char === "(") depth += 1;
+    if (char === ")") depth -= 1;
+    if (depth === 0) return i;
+  }
+  return -1;
+};
+
+/**
+ * Removes a non-capturing group that wraps an entire pattern, since it serves no purpose.
+ * 
+ * @param {string} pattern
+ * @returns {string}
+ */
+exports.unwrapGroup = (pattern) => {
+  if (!pattern.startsWith("(?:")) return pattern;
+  if (findGroupEnd(pattern, 0) !== pattern.length - 1) return pattern;
+  return pattern.slice(3, -1);
+};
+
+/**
+ * Optimizes the tree of a phrase.  The resulting tree will match exactly the same
+ * text, but will usually render to a shorter pattern.
+ * 
+ * Some words are rendered into the resulting tree, so it must be rendered with the
+ * same `options`.
+ * 
+ * @param {TLG.Matching.PhraseOperand | PhraseNode} phrase
+ * @param {Partial<TLG.Matching.RenderOptions>} [options]
+ * @returns {PhraseNode}
+ */
+exports.optimizeNode = (phrase, options = {}) => matching.transform(phrase, (node) => {
+  if (node.type !== "alt") return node;
+  return optimizeAlt(node, options);
+});
+
+/**
+ * Optimizes a phrase, so that its pattern will be shorter while matching exactly the
+ * same text.
+ * 
+ * The result can still be composed with other phrases; the redundant group around an
+ * alternation at its root is only dropped by `toNAI`, as that is the final output.
+ * 
+ * The resulting phrase must be rendered with the same `options`.
+ * 
+ * @param {TLG.Matching.PhraseOperand} phrase
+ * @param {Partial<TLG.Matching.RenderOptions>} [options]
+ * @returns {TLG.OptimizeResult}
+ */
+exports.optimize = (phrase, options = {}) => {
+  const original = matching.asEscaped(phrase);
+  const optimizedNode = exports.optimizeNode(original.node, options);
+  const { pattern, flags } = matching.renderKey(optimizedNode, options);
+  const optimizedPattern = exports.unwrapGroup(pattern);
+
+  /** @type {TLG.Matching.EscapedRegex} */
+  const optimized = {
+    ...matching.fromNode(optimizedNode),
+    toNAI: () => `/${optimizedPattern}/${flags}`
+  };
+
+  const before = original.toNAI(options).length;
+  const after = optimized.toNAI().length;
+  return { phrase: optimized, before, after, saved: before - after };
+};
+
+/**
+ * Adds up the results of several optimizations.
+ * 
+ * @param {Iterable<Pick<TLG.OptimizeResult, "before" | "after">>} results
+ * @returns {TLG.OptimizeStats}
+ */
+exports.sumStats = (results) => {
+  let before = 0, after = 0;
+  for (const result of results) {
+    before += result.before;
+    after += result.after;
+  }
+  return { before, after, saved: before - after };
+};
\ No newline at end of file
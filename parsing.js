@@ -0,0 +1,781 @@
+const { getOwn } = require("./utils");
+const matching = require("./matching");
+
+/** @typedef {import("./parsing.types").QueryToken} QueryToken */
+/** @typedef {import("./parsing.types").QueryArg} QueryArg */
+/** @typedef {import("./parsing.types").QueryOperatorFn} QueryOperatorFn */
+/** @typedef {import("./parsing.types").QueryUnaryFn} QueryUnaryFn */
+/** @typedef {(message: string, column: number) => never} FailFn */
+
+/**
+ * An error thrown when a query could not be parsed.  The `column` property indicates
+ * where in the query the problem was found, starting from `1`.
+ */
+class QuerySyntaxError extends SyntaxError {
+  /**
+   * @param {string} message
+   * @param {string} query
+   * @param {number} column
+   */
+  constructor(message, query, column) {
+    super(`${message} at column ${column}.\n  ${query}\n  ${" ".repeat(column - 1)}^`);
+    this.name = "QuerySyntaxError";
+    /** The query that could not be parsed. */
+    this.query = query;
+    /** The column where the problem was found, starting from `1`. */
+    this.column = column;
+  }
+}
+
+exports.QuerySyntaxError = QuerySyntaxError;
+
+/** Characters that end a bare word. */
+const reWordEnd = /[\s()|"*,]/;
+
+/**
+ * Splits the arguments of an operator into numbers and flags, failing if there are
+ * any flags that are not allowed.
+ * 
+ * @param {QueryArg[]} args
+ * @param {string[]} allowedFlags
+ * @param {FailFn} fail
+ * @returns {{ numbers: Array<QueryArg & { value: number }>, flags: Set<string> }}
+ */
+const splitArgs = (args, allowedFlags, fail) => {
+  /** @type {Array<QueryArg & { value: number }>} */
+  const numbers = [];
+  const flags = new Set();
+  for (const arg of args) {
+    const { value, column } = arg;
+    if (typeof value === "number") numbers.push({ value, column });
+    else if (allowedFlags.includes(value)) flags.add(value);
+    else fail(`Unknown option \`${value}\``, column);
+  }
+  return { numbers, flags };
+};
+
+/**
+ * Creates a `QueryOperatorFn` or `QueryUnaryFn` for an operator that takes no arguments.
+ * 
+ * @template {TLG.Matching.BinaryOperator | TLG.Matching.UnaryOperator} TOperator
+ * @param {string} name
+ * @param {TOperator} operator
+ * @returns {(args: QueryArg[], fail: FailFn) => TOperator}
+ */
+const simpleOperator = (name, operator) => (args, fail) => {
+  if (args.length > 0) fail(`\`${name}\` does not take any options`, args[0].column);
+  return operator;
+};
+
+/**
+ * Creates a `QueryOperatorFn` for an operator that takes a range of words, like `NEAR`.
+ * It accepts up to two numbers and the `multiline` flag.
+ * 
+ * @param {string} name
+ * @param {(range?: number | [number, number], sameLine?: boolean) => TLG.Matching.BinaryOperator} operatorFn
+ * @returns {QueryOperatorFn}
+ */
+const rangeOperator = (name, operatorFn) => (args, fail) => {
+  const { numbers, flags } = splitArgs(args, ["multiline"], fail);
+  if (numbers.length > 2) fail(`\`${name}\` takes at most two numbers`, numbers[2].column);
+  const sameLine = !flags.has("multiline");
+  if (numbers.length === 2) return operatorFn([numbers[0].value, numbers[1].value], sameLine);
+  return operatorFn(numbers[0]?.value, sameLine);
+};
+
+/**
+ * Reads the arguments of `AT_LEAST`: the count, and optionally `line` or `sentence`.
+ * 
+ * @param {QueryArg[]} args
+ * @param {FailFn} fail
+ * @param {number} column
+ * @returns {TLG.Matching.UnaryOrBinaryOperator}
+ */
+const atLeastOperator = (args, fail, column) => {
+  const { numbers, flags } = splitArgs(args, ["line", "sentence"], fail);
+  if (numbers.length !== 1)
+    fail("`AT_LEAST` takes exactly one number", numbers[1]?.column ?? column);
+  if (flags.size > 1) fail("`AT_LEAST` takes only one of `line` or `sentence`", args[args.length - 1].column);
+  if (numbers[0].value < 1) fail("`AT_LEAST` needs a number of at least 1", numbers[0].column);
+  const [scope = "text"] = /** @type {TLG.Matching.MentionScope[]} */ ([...flags]);
+  return matching.AT_LEAST(numbers[0].value, scope);
+};
+
+/**
+ * Reads the optional word distance of the dialogue operators.
+ * 
+ * @param {string} name
+ * @param {QueryArg[]} args
+ * @param {FailFn} fail
+ * @returns {number | undefined}
+ */
+const distanceArg = (name, args, fail) => {
+  const { numbers } = splitArgs(args, [], fail);
+  if (numbers.length > 1) fail(`\`${name}\` takes at most one number`, numbers[1].column);
+  return numbers[0]?.value;
+};
+
+/**
+ * The operators that can be used in a query, by name.  Each receives the arguments
+ * given in parentheses after its name.
+ * 
+ * @type {Record<string, QueryOperatorFn>}
+ */
+exports.operators = {
+  AND: simpleOperator("AND", matching.AND),
+  EXCLUDING: simpleOperator("EXCLUDING", matching.EXCLUDING),
+  WITH: simpleOperator("WITH", matching.WITH),
+  WITHOUT: simpleOperator("WITHOUT", matching.WITHOUT),
+  IN_SENTENCE: simpleOperator("IN_SENTENCE", matching.IN_SENTENCE),
+  NOT_IN_SENTENCE: simpleOperator("NOT_IN_SENTENCE", matching.NOT_IN_SENTENCE),
+  IN_PARAGRAPH: simpleOperator("IN_PARAGRAPH", matching.IN_PARAGRAPH),
+  NOT_IN_PARAGRAPH: simpleOperator("NOT_IN_PARAGRAPH", matching.NOT_IN_PARAGRAPH),
+  NEAR: rangeOperator("NEAR", matching.NEAR),
+  BEFORE: rangeOperator("BEFORE", matching.BEFORE),
+  AFTER: rangeOperator("AFTER", matching.AFTER),
+  FOLLOWED_BY: rangeOperator("FOLLOWED_BY", matching.FOLLOWED_BY),
+  AT_LEAST: (args, fail, column) => atLeastOperator(args, fail, column),
+  BEYOND: (args, fail) => {
+    const { numbers, flags } = splitArgs(args, ["multiline"], fail);
+    if (numbers.length > 1) fail("`BEYOND` takes at most one number", numbers[1].column);
+    return matching.BEYOND(numbers[0]?.value, !flags.has("multiline"));
+  },
+  SPOKEN_BY: (args, fail) => matching.SPOKEN_BY(distanceArg("SPOKEN_BY", args, fail))
+};
+
+/**
+ * The operators that are placed before a single phrase, by name, such as
+ * `AT_LEAST(3) (god | temple)` or `IN_DIALOGUE rook`.  Like `operators`, each receives
+ * the arguments given in parentheses after its name.
+ * 
+ * @type {Record<string, QueryUnaryFn>}
+ */
+exports.unaryOperators = {
+  AT_LEAST: (args, fail, column) => atLeastOperator(args, fail, column),
+  IN_DIALOGUE: simpleOperator("IN_DIALOGUE", matching.IN_DIALOGUE),
+  IN_NARRATION: simpleOperator("IN_NARRATION", matching.IN_NARRATION),
+  CASE_SENSITIVE: simpleOperator("CASE_SENSITIVE", matching.CASE_SENSITIVE),
+  SPEAKER: (args, fail) => {
+    const distance = distanceArg("SPEAKER", args, fail);
+    return (phrase) => matching.SPEAKER(phrase, distance);
+  }
+};
+
+/**
+ * Splits a query into tokens.
+ * 
+ * @param {string} query
+ * @param {FailFn} fail
+ * @returns {QueryToken[]}
+ */
+const tokenize = (query, fail) => {
+  /** @type {QueryToken[]} */
+  const tokens = [];
+  let i = 0;
+
+  /** Reads a quoted string, starting at the opening quote. */
+  const readQuoted = () => {
+    const start = i;
+    let value = "";
+    for (i += 1; i < query.length; i++) {
+      const char = query[i];
+      if (char === "\"") {
+        i += 1;
+        return value;
+      }
+      if (char === "\\" && i + 1 < query.length) {
+        i += 1;
+        value += query[i];
+      }
+      else value += char;
+    }
+    return fail("Unterminated quoted word", start + 1);
+  };
+
+  /** Reads a bare word, which ends at whitespace or punctuation. */
+  const readBare = () => {
+    const start = i;
+    while (i < query.length && !reWordEnd.test(query[i])) i += 1;
+    return query.slice(start, i);
+  };
+
+  /** Reads a regular-expression literal, starting at the opening slash. */
+  const readRegex = () => {
+    const start = i;
+    let inClass = false;
+    for (i += 1; i < query.length; i++) {
+      const char = query[i];
+      if (char === "\\") i += 1;
+      else if (inClass) inClass = char !== "]";
+      else if (char === "[") inClass = true;
+      else if (char === "/") break;
+    }
+    if (i >= query.length) fail("Unterminated regular-expression", start + 1);
+    for (i += 1; i < query.length && /[a-z]/i.test(query[i]); i++);
+    return query.slice(start, i);
+  };
+
+  /** Reads the arguments of an operator, starting at the opening parenthesis. */
+  const readArgs = () => {
+    /** @type {QueryArg[]} */
+    const args = [];
+    const start = i;
+    for (i += 1; i < query.length;) {
+      const char = query[i];
+      if (/\s|,/.test(char)) { i += 1; continue; }
+      if (char === ")") { i += 1; return args; }
+      const column = i + 1;
+      const text = readBare();
+      if (!text) fail(`Unexpected \`${char}\` in options`, column);
+      const value = /^\d+$/.test(text) ? Number(text) : text;
+      args.push({ value, column });
+    }
+    return fail("Unterminated options", start + 1);
+  };
+
+  while (i < query.length) {
+    const char = query[i];
+    const column = i + 1;
+
+    if (/\s/.test(char)) { i += 1; continue; }
+
+    if (char === "(" || char === ")" || char === "|") {
+      tokens.push({ type: char, column });
+      i += 1;
+      continue;
+    }
+
+    if (char === "/") {
+      tokens.push({ type: "regex", value: readRegex(), column });
+      continue;
+    }
+
+    // Words may be marked with `=` to be exact or `*` to be open-ended.
+    const exact = char === "=";
+    const openStart = char === "*";
+    if (exact || openStart) i += 1;
+
+    const quoted = query[i] === "\"";
+    const value = quoted ? readQuoted() : readBare();
+    if (!value) fail(`Unexpected \`${query[i] ?? char}\``, i + 1);
+
+    const openEnd = query[i] === "*";
+    if (openEnd) i += 1;
+    if (exact && openEnd) fail("A word cannot be both exact and open-ended", i);
+
+    const mode = exact ? "LIT" : openStart ? (openEnd ? "OPEN" : "POST") : "PRE";
+    const marked = exact || openStart || openEnd || quoted;
+
+    // A bare word immediately followed by parentheses is an operator with options.
+    const args = !marked && query[i] === "(" ? readArgs() : undefined;
+    tokens.push({ type: "word", value, mode, marked, args, column });
+  }
+
+  return tokens;
+};
+
+/**
+ * Parses a query into a phrase.  The result is built with the same functions as the
+ * phrase helpers, such as `LIT` and `ALT`, and the phrase operators, such as `AND`.
+ * 
+ * The syntax of a query:
+ * - `word` - A word that must be at the start of a word, like `PRE`.
+ * - `=word` - An exact word, like `LIT`.
+ * - `*word` - A word that must be at the end of a word, like `POST`.
+ * - `*word*` - A word that can be anywhere in a word, like `OPEN`.
+ * - `"some words"` - Quotes allow spaces and punctuation in a word.  They can be
+ *   marked the same way, such as `="exact words"`.
+ * - `/pattern/i` - A NovelAI regular-expression, like `REGEX`; it is case-sensitive
+ *   without the `i` flag.
+ * - `a | b | c` - Any of the phrases, like `ALT`.
+ * - `a AND b` - An operator between two phrases.  Operators with options take them in
+ *   parentheses, directly after the name, such as `NEAR(5)`, `NEAR(2, 5)` or
+ *   `BEYOND(10, multiline)`.
+ * - `IN_DIALOGUE a` or `AT_LEAST(3) a` - An operator from `unaryOperators`, placed before
+ *   the single phrase it applies to.
+ * - `(...)` - Groups phrases together.
+ * 
+ * The `|` and the operators placed before a phrase bind more tightly than the operators
+ * between two phrases, which are all evaluated left-to-right.
+ * 
+ * The names of operators between two phrases are not case-sensitive, but those placed
+ * before a phrase must be in capitals, so words like "speaker" can still be used.  To use
+ * an operator's name as a word, put it in quotes.
+ * 
+ * Throws a `QuerySyntaxError` if the query is not valid.
+ * 
+ * @param {string} query
+ * @returns {TLG.Matching.EscapedRegex}
+ */
+exports.parse = (query) => {
+  /** @type {FailFn} */
+  const fail = (message, column) => {
+    throw new QuerySyntaxError(message, query, column);
+  };
+
+  const tokens = tokenize(query, fail);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const endColumn = query.length + 1;
+
+  /** @type {(token: QueryToken | undefined) => string} */
+  const describe = (token) => {
+    if (!token) return "the end of the query";
+    if (token.type === "word" || token.type === "regex") return `\`${token.value}\``;
+    return `\`${token.type}\``;
+  };
+
+  /** @returns {TLG.Matching.EscapedRegex} */
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) return fail("Expected a phrase, but found the end of the query", endColumn);
+    pos += 1;
+
+    switch (token.type) {
+      case "(": {
+        const inner = parseBinary();
+        const closing = peek();
+        if (closing?.type !== ")")
+          fail(`Expected \`)\`, but found ${describe(closing)}`, closing?.column ?? endColumn);
+        pos += 1;
+        return inner;
+      }
+      case "regex": {
+        const node = parseRegexWith(token.value, (message, column) => fail(message, token.column + column - 1));
+        return matching.fromNode(node);
+      }
+      case "word": {
+        // Only capitalized names are operators here, so words like "speaker" can be used.
+        const unaryFn = token.marked ? undefined : getOwn(exports.unaryOperators, token.value);
+        if (unaryFn) {
+          const operator = unaryFn(token.args ?? [], fail, token.column);
+          return operator(parsePrimary());
+        }
+        if (token.args) fail("Expected a phrase, but found an operator", token.column);
+        return matching[token.mode](token.value);
+      }
+      default:
+        return fail(`Expected a phrase, but found ${describe(token)}`, token.column);
+    }
+  };
+
+  /** @returns {TLG.Matching.EscapedRegex} */
+  const parseAlt = () => {
+    const alternates = [parsePrimary()];
+    while (peek()?.type === "|") {
+      pos += 1;
+      alternates.push(parsePrimary());
+    }
+    return alternates.length === 1 ? alternates[0] : matching.ALT(...alternates);
+  };
+
+  /** @returns {TLG.Matching.EscapedRegex} */
+  const parseBinary = () => {
+    let left = parseAlt();
+    for (let token = peek(); token?.type === "word"; token = peek()) {
+      const name = token.value.toUpperCase();
+      const operatorFn = token.marked ? undefined : getOwn(exports.operators, name);
+      if (!operatorFn) fail(`Expected an operator, but found ${describe(token)}`, token.column);
+      pos += 1;
+
+      const operator = operatorFn(token.args ?? [], fail, token.column);
+      left = operator(left, parseAlt());
+    }
+    return left;
+  };
+
+  const result = parseBinary();
+  const leftover = peek();
+  if (leftover) fail(`Unexpected ${describe(leftover)}`, leftover.column);
+  return result;
+};
+
+/**
+ * An error thrown when a NovelAI regular-expression could not be parsed.  The `column`
+ * property indicates where in the regular-expression the problem was found, starting
+ * from `1`.
+ */
+class RegexSyntaxError extends SyntaxError {
+  /**
+   * @param {string} message
+   * @param {string} regex
+   * @param {number} column
+   */
+  constructor(message, regex, column) {
+    super(`${message} at column ${column}.\n  ${regex}\n  ${" ".repeat(column - 1)}^`);
+    this.name = "RegexSyntaxError";
+    /** The regular-expression that could not be parsed. */
+    this.regex = regex;
+    /** The column where the problem was found, starting from `1`. */
+    this.column = column;
+  }
+}
+
+exports.RegexSyntaxError = RegexSyntaxError;
+
+/** Matches a NovelAI regular-expression string, splitting it into its pattern and flags. */
+const reNaiRegex = /^\/(.*)\/([a-z]*)$/;
+
+/** Matches flags set for the whole pattern at its start, like `(?i)`, as other engines allow. */
+const reInlineFlags = /^\(\?([a-z]*)\)/;
+
+/** Matches a group with modifiers, like `(?-i:...)`, when its `lastIndex` is at the `(`. */
+const reModifierGroup = /\(\?([ims]*)(?:-([ims]*))?:/y;
+
+/** Matches the start of the groups JavaScript supports, after the `(?`. */
+const reSupportedGroup = /^(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>|[ims]*(?:-[ims]*)?:)/;
+
+/** Matches a word boundary at the end of a pattern, which is not an escaped `\`. */
+const reEndBoundary = /(?<!\\)(?:\\\\)*\\b$/;
+
+/** Matches an escape for a character that needs no escape to be used literally. */
+const reLiteralEscape = /^[^\w\s]$/;
+
+/** Characters with a special meaning outside of a character class. */
+const reMetaChar = /[\\^$.|?*+()[\]{}]/;
+
+/** Escapes for features of other engines that JavaScript does not have. */
+const unsupportedEscapes = "AZzGQEhRKX";
+
+/** Matches the part of a `SyntaxError` from `RegExp` that repeats the pattern. */
+const reEngineError = /^Invalid regular expression: \/[\s\S]*\/[a-z]*: /;
+
+/** The most words a pattern will be expanded into before it is left as a pattern. */
+const maxExpansions = 32;
+
+/**
+ * Scans a valid pattern for its `|` that are not within a group, and for where a group
+ * that opens at its very start closes.
+ * 
+ * @param {string} pattern
+ * @returns {{ bars: number[], firstClose: number }}
+ */
+const scanPattern = (pattern) => {
+  /** @type {number[]} */
+  const bars = [];
+  let firstClose = -1;
+  let depth = 0;
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") i += 1;
+    else if (inClass) inClass = char !== "]";
+    else if (char === "[") inClass = true;
+    else if (char === "(") depth += 1;
+    else if (char === ")") {
+      depth -= 1;
+      if (depth === 0 && firstClose < 0 && pattern[0] === "(") firstClose = i;
+    }
+    else if (char === "|" && depth === 0) bars.push(i);
+  }
+
+  return { bars, firstClose };
+};
+
+/**
+ * Makes the capturing groups of a pattern non-capturing, as nothing can refer to them
+ * once the phrase is composed with others.
+ * 
+ * @param {string} pattern
+ * @returns {string}
+ */
+const toNonCapturing = (pattern) => {
+  let result = "";
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\") {
+      result += pattern.slice(i, i + 2);
+      i += 1;
+      continue;
+    }
+    if (inClass) inClass = char !== "]";
+    else if (char === "[") inClass = true;
+    else if (char === "(") {
+      const named = /^\?<[A-Za-z_$][\w$]*>/.exec(pattern.slice(i + 1));
+      if (named) i += named[0].length;
+      if (named || pattern[i + 1] !== "?") {
+        result += "(?:";
+        continue;
+      }
+    }
+    result += char;
+  }
+
+  return result;
+};
+
+/**
+ * Checks a pattern for constructs NovelAI cannot use, calling `fail` with the index of
+ * the first one found.
+ * 
+ * @param {string} pattern
+ * @param {string} flags
+ * @param {(message: string, index: number) => never} fail
+ * @returns {void}
+ */
+const validatePattern = (pattern, flags, fail) => {
+  /** @type {number[]} */
+  const groups = [];
+  let classStart = -1;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "\\") {
+      const next = pattern[i + 1];
+      if (next === undefined) fail("The pattern cannot end with `\\`", i);
+      if (classStart < 0 && unsupportedEscapes.includes(next))
+        fail(`\`\\${next}\` is not supported`, i);
+      // The groups are renumbered, or copied, when the phrase is composed with others.
+      if (classStart < 0 && (/[1-9]/.test(next) || pattern.startsWith("k<", i + 1)))
+        fail("Backreferences are not supported, as composing the phrase changes its groups", i);
+      i += 1;
+      continue;
+    }
+
+    if (classStart >= 0) {
+      if (char === "]") classStart = -1;
+      continue;
+    }
+
+    switch (char) {
+      case "[":
+        classStart = i;
+        // A `]` at the very start of the class is part of it in other engines.
+        if (pattern[i + 1] === "]") fail("An empty character class is not supported", i);
+        continue;
+      case "(":
+        groups.push(i);
+        if (pattern[i + 1] === "?" && !reSupportedGroup.test(pattern.slice(i + 2)))
+          fail(`The group \`(?${pattern[i + 2] ?? ""}\` is not supported`, i);
+        continue;
+      case ")":
+        if (groups.length === 0) fail("Unmatched `)`", i);
+        groups.pop();
+        continue;
+      case "*": case "+": case "?": case "}":
+        if (pattern[i + 1] === "+") fail("Possessive quantifiers are not supported", i + 1);
+        continue;
+    }
+  }
+
+  if (classStart >= 0) fail("Unterminated character class", classStart);
+  if (groups.length > 0) fail("Unterminated group", groups[groups.length - 1]);
+
+  // Let the engine check everything else.  Groups with modifiers are checked as plain
+  // groups, as not every engine supports them yet.
+  try {
+    new RegExp(pattern.replace(/\(\?[ims]*(?:-[ims]*)?:/g, "(?:"), flags.replace(/[^imsu]/g, ""));
+  }
+  catch (err) {
+    const reason = String(err instanceof Error ? err.message : err).replace(reEngineError, "");
+    fail(`Invalid regular-expression: ${reason}`, 0);
+  }
+};
+
+/**
+ * Expands a pattern made up of only literal characters, optional characters and groups
+ * of literal alternatives, like `religi(?:on|ous)` or `gods?`, into the words it matches.
+ * 
+ * @param {string} pattern
+ * @returns {string[] | undefined}
+ * The words, or `undefined` if the pattern has anything else in it or would expand
+ * into too many words.
+ */
+const expandLiteral = (pattern) => {
+  /** @type {string[][]} */
+  const parts = [];
+
+  /**
+   * Reads a literal character at `i`, returning it and the index after it.
+   * 
+   * @param {number} i
+   * @returns {[char: string, next: number] | undefined}
+   */
+  const readChar = (i) => {
+    const char = pattern[i];
+    if (char === "\\") {
+      const next = pattern[i + 1];
+      return next && reLiteralEscape.test(next) ? [next, i + 2] : undefined;
+    }
+    return reMetaChar.test(char) ? undefined : [char, i + 1];
+  };
+
+  for (let i = 0; i < pattern.length;) {
+    /** @type {string[]} */
+    let branches = [];
+
+    if (pattern[i] === "(") {
+      i += pattern.startsWith("(?:", i) ? 3 : 1;
+      if (pattern[i] === "?") return undefined;
+      let branch = "";
+      for (;;) {
+        if (i >= pattern.length) return undefined;
+        if (pattern[i] === "|" || pattern[i] === ")") {
+          branches.push(branch);
+          branch = "";
+          if (pattern[i++] === ")") break;
+          continue;
+        }
+        const read = readChar(i);
+        if (!read) return undefined;
+        branch += read[0];
+        i = read[1];
+      }
+    }
+    else {
+      const read = readChar(i);
+      if (!read) return undefined;
+      branches = [read[0]];
+      i = read[1];
+    }
+
+    if (pattern[i] === "?") {
+      branches.push("");
+      i += 1;
+    }
+    parts.push(branches);
+  }
+
+  let words = [""];
+  for (const branches of parts) {
+    words = words.flatMap((word) => branches.map((branch) => `${word}${branch}`));
+    if (words.length > maxExpansions) return undefined;
+  }
+  words = [...new Set(words)];
+  return words.every(Boolean) ? words : undefined;
+};
+
+/**
+ * Converts a pattern with word boundaries around only literal text, like `\bgods?\b`, into
+ * a word phrase.
+ * 
+ * @param {string} pattern
+ * @param {boolean} caseSensitive
+ * @returns {TLG.Matching.WordNode | undefined}
+ */
+const toWordNode = (pattern, caseSensitive) => {
+  const start = pattern.startsWith("\\b");
+  const end = reEndBoundary.test(pattern);
+  if (!start && !end) return undefined;
+
+  const body = pattern.slice(start ? 2 : 0, end ? -2 : undefined);
+  const words = body ? expandLiteral(body) : undefined;
+  if (!words) return undefined;
+  // Keep patterns that were written more compactly than the words would be.
+  if (words.length > 1 && require("./optimization").compactWords(words, true).length > body.length)
+    return undefined;
+
+  const [word, ...forms] = words;
+  const mode = start && end ? "LIT" : start ? "PRE" : "POST";
+  /** @type {TLG.Matching.WordNode} */
+  const node = { type: "word", mode, word };
+  if (forms.length > 0) node.forms = forms;
+  if (caseSensitive) node.caseSensitive = true;
+  return node;
+};
+
+/**
+ * Parses a NovelAI regular-expression string into a phrase's tree, calling `fail` with a
+ * message and column if it cannot be used.
+ * 
+ * @param {string} regex
+ * @param {(message: string, column: number) => never} fail
+ * @returns {TLG.Matching.PhraseNode}
+ */
+const parseRegexWith = (regex, fail) => {
+  const match = reNaiRegex.exec(regex);
+  if (!match) return fail("Expected a regular-expression like `/pattern/i`", 1);
+
+  const [, source, givenFlags] = match;
+  const flagsColumn = source.length + 3;
+  const badFlag = [...givenFlags].findIndex((flag) => !"iu".includes(flag));
+  if (badFlag >= 0) fail(`The flag \`${givenFlags[badFlag]}\` is not supported; only \`i\` and \`u\` are kept in a key`, flagsColumn + badFlag);
+
+  // Flags at the start of the pattern apply to all of it.
+  const inline = reInlineFlags.exec(source);
+  const inlineFlags = inline?.[1] ?? "";
+  const badInline = [...inlineFlags].findIndex((flag) => flag !== "i");
+  if (badInline >= 0) fail(`The inline flag \`${inlineFlags[badInline]}\` is not supported; only \`i\` can be given inline`, badInline + 4);
+
+  const offset = inline ? inline[0].length : 0;
+  const flags = [...new Set(givenFlags + inlineFlags)].join("");
+  validatePattern(source.slice(offset), flags, (message, index) => fail(message, index + offset + 2));
+  const pattern = toNonCapturing(source.slice(offset));
+
+  /**
+   * @param {string} text
+   * @param {boolean} caseSensitive
+   * @returns {TLG.Matching.RegexNode}
+   */
+  const toRegexNode = (text, caseSensitive) => {
+    /** @type {TLG.Matching.RegexNode} */
+    const node = { type: "regex", source: text, flags };
+    if (caseSensitive) node.caseSensitive = true;
+    return node;
+  };
+
+  /**
+   * @param {string} text
+   * @param {boolean} caseSensitive
+   * @returns {TLG.Matching.PhraseNode}
+   */
+  const toNode = (text, caseSensitive) => {
+    const { bars, firstClose } = scanPattern(text);
+
+    if (bars.length > 0) {
+      const alternates = [-1, ...bars].map((bar, i) => {
+        const alternative = text.slice(bar + 1, bars[i] ?? text.length);
+        return toNode(alternative, caseSensitive);
+      });
+      return { type: "alt", alternates };
+    }
+
+    // A group around the whole pattern can be removed, applying its modifiers.
+    if (firstClose === text.length - 1) {
+      const inner = text.slice(1, -1);
+      if (!inner.startsWith("?")) return toNode(inner, caseSensitive);
+      if (inner.startsWith("?:")) return toNode(inner.slice(2), caseSensitive);
+
+      reModifierGroup.lastIndex = 0;
+      const modifiers = reModifierGroup.exec(text);
+      const [, added = "", removed = ""] = modifiers ?? [];
+      // Only a change to case-sensitivity can be kept once the group is gone.
+      if (modifiers && /^i?$/.test(added) && /^i?$/.test(removed) && added !== removed)
+        return toNode(text.slice(modifiers[0].length, -1), removed === "i");
+    }
+
+    return toWordNode(text, caseSensitive) ?? toRegexNode(text, caseSensitive);
+  };
+
+  return toNode(pattern, !flags.includes("i"));
+};
+
+/**
+ * Parses a NovelAI regular-expression string, like `/\bgods?\b/i`, into a phrase's tree.
+ * 
+ * - Alternations are split up, so each alternative can be grouped properly when the
+ *   phrase is composed with operators.
+ * - Word boundaries around literal text become word phrases, like `LIT`, which can be
+ *   optimized; `\bgods?\b` becomes the word "god" with the form "gods".
+ * - Without the `i` flag, the phrase is case-sensitive, as are groups that remove it,
+ *   like `(?-i:...)`.  Flags at the start of the pattern, like `(?i)`, apply to all of it.
+ * 
+ * - Capturing groups become non-capturing, as nothing can refer to them.
+ * 
+ * Throws a `RegexSyntaxError` if the regular-expression is not valid or uses something
+ * NovelAI does not support, such as possessive quantifiers or atomic groups.  Patterns
+ * with backreferences, and flags other than `i` and `u`, are not supported either, as
+ * they would not keep their meaning once the phrase is composed and rendered as a key.
+ * The `u` flag is kept, so any key the phrase is rendered into will have it.
+ * 
+ * @param {string} regex
+ * @returns {TLG.Matching.PhraseNode}
+ */
+exports.parseRegex = (regex) => parseRegexWith(regex, (message, column) => {
+  throw new RegexSyntaxError(message, regex, column);
+});
\ No newline at end of file
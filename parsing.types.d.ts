@@ -0,0 +1,42 @@
+export interface QueryArg {
+  /** The argument; numbers are converted, everything else is left as text. */
+  value: number | string;
+
+  /** The column the argument starts at, starting from `1`. */
+  column: number;
+}
+
+export type QueryToken
+  = { type: "(" | ")" | "|", column: number }
+  | { type: "regex", value: string, column: number }
+  | {
+    type: "word",
+    value: string,
+    mode: TLG.Matching.WordMode,
+    /** Whether the word was quoted or marked with `=` or `*`; such words cannot be operators. */
+    marked: boolean,
+    /** The options in parentheses directly following the word, if any. */
+    args: QueryArg[] | undefined,
+    column: number
+  };
+
+/**
+ * Creates a binary operator from the options given to it in a query.  Calls `fail`
+ * with a message and column if the options are not valid; `column` is where the
+ * operator's name starts.
+ */
+export type QueryOperatorFn = (
+  args: QueryArg[],
+  fail: (message: string, column: number) => never,
+  column: number
+) => TLG.Matching.BinaryOperator;
+
+/**
+ * Creates a unary operator from the options given to it in a query, the same as
+ * `QueryOperatorFn`.
+ */
+export type QueryUnaryFn = (
+  args: QueryArg[],
+  fail: (message: string, column: number) => never,
+  column: number
+) => TLG.Matching.UnaryOperator;
\ No newline at end of file
@@ -0,0 +1,508 @@
+const { dew } = require("./utils");
+const { escapeRegExp, parseNaiRegex } = require("./matching");
+const DEFAULTS = require("./strategies/_naiDefaults");
+
+/** @typedef {import("./simulation.types").KeyMatch} KeyMatch */
+/** @typedef {import("./simulation.types").ActivationResult} ActivationResult */
+/** @typedef {import("./simulation.types").ActivationReport} ActivationReport */
+/** @typedef {import("./simulation.types").ActivationOptions} ActivationOptions */
+/** @typedef {import("./simulation.types").ContextOptions} ContextOptions */
+/** @typedef {import("./simulation.types").ContextResult} ContextResult */
+/** @typedef {import("./simulation.types").ContextReport} ContextReport */
+/** @typedef {import("./simulation.types").SampleOptions} SampleOptions */
+/** @typedef {NAI.ContextConfig["insertionType"]} UnitType */
+
+/**
+ * The default `ActivationOptions`.
+ * 
+ * @type {ActivationOptions}
+ */
+const activationDefaults = {
+  cascade: true
+};
+
+/**
+ * The default `ContextOptions`.
+ * 
+ * @type {Omit<ContextOptions, "story" | "activation">}
+ */
+const contextDefaults = {
+  contextSize: 2048,
+  countTokens: (text) => Math.ceil(text.length / 4)
+};
+
+/**
+ * The default `SampleOptions`.
+ * 
+ * @type {SampleOptions}
+ */
+const sampleDefaults = {
+  vocabulary: ["cat", "catalog", "dog", "dogma", "bird", "rook", "jasco"],
+  count: 200,
+  maxWords: 12,
+  seed: 1
+};
+
+/**
+ * The units text can be trimmed by, from coarsest to finest.
+ * 
+ * @type {UnitType[]}
+ */
+const trimTypes = ["newline", "sentence", "token"];
+
+/** Patterns that match the separator at the end of each unit of text. */
+const unitEnds = {
+  newline: /\n/g,
+  sentence: /[.!?]+["'”’)\]]*[^\S\n]+|\n+/g,
+  token: /\s+/g
+};
+
+/**
+ * Converts a key from a `NAI.LoreEntry` into a global `RegExp` that will match it
+ * the same way NovelAI does.
+ * - Keys in the form of `/pattern/flags` are treated as regular-expressions.
+ * - All other keys are matched as case-insensitive plain text.
+ * 
+ * Throws if the key looks like a regular-expression, but is not valid.
+ * 
+ * @param {string} key
+ * @returns {RegExp}
+ */
+exports.toRegExp = dew(() => {
+  /** @type {Map<string, RegExp>} */
+  const cache = new Map();
+
+  /** @type {(key: string) => RegExp} */
+  const compile = (key) => {
+    const parsed = parseNaiRegex(key);
+    if (!parsed) return new RegExp(escapeRegExp(key), "gi");
+
+    try {
+      return new RegExp(parsed.source, `${parsed.flags}g`);
+    }
+    catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      throw new Error(`Key is not a valid regular-expression: ${key}\n${message}`);
+    }
+  };
+
+  /** @type {(key: string) => RegExp} */
+  const innerFn = (key) => {
+    const cached = cache.get(key) ?? compile(key);
+    cache.set(key, cached);
+    // Clone it, so the `lastIndex` state of the cached instance is never shared.
+    return new RegExp(cached);
+  };
+
+  return innerFn;
+});
+
+/**
+ * Finds the last match of `key` within `text`.
+ * 
+ * @param {string} key
+ * @param {string} text
+ * @returns {RegExpExecArray | undefined}
+ */
+const lastMatchOf = (key, text) => {
+  const regex = exports.toRegExp(key);
+  /** @type {RegExpExecArray | undefined} */
+  let lastMatch = undefined;
+  /** @type {RegExpExecArray | null} */
+  let match;
+  while ((match = regex.exec(text))) {
+    lastMatch = match;
+    // Avoid an infinite loop on zero-length matches.
+    if (match[0].length === 0) regex.lastIndex += 1;
+  }
+  return lastMatch;
+};
+
+/**
+ * Searches the story for each of the entry's keys, within its `searchRange`.
+ * 
+ * @param {NAI.LoreEntry} entry
+ * @param {string} storyText
+ * @returns {KeyMatch[]}
+ */
+exports.matchStory = (entry, storyText) => {
+  const offset = Math.max(0, storyText.length - entry.searchRange);
+  const searchedText = storyText.slice(offset);
+
+  /** @type {KeyMatch[]} */
+  const matches = [];
+  for (const key of entry.keys) {
+    const match = lastMatchOf(key, searchedText);
+    if (!match) continue;
+    matches.push({ key, source: "story", index: offset + match.index, text: match[0] });
+  }
+  return matches;
+};
+
+/**
+ * Searches the text of the given entries for each of the entry's keys.  This is
+ * used for cascading activation.
+ * 
+ * @param {NAI.LoreEntry} entry
+ * @param {Iterable<NAI.LoreEntry>} otherEntries
+ * @returns {KeyMatch[]}
+ */
+exports.matchEntries = (entry, otherEntries) => {
+  /** @type {KeyMatch[]} */
+  const matches = [];
+  for (const otherEntry of otherEntries) {
+    if (otherEntry === entry) continue;
+    for (const key of entry.keys) {
+      const match = lastMatchOf(key, otherEntry.text);
+      if (!match) continue;
+      matches.push({
+        key,
+        source: "cascade",
+        index: match.index,
+        text: match[0],
+        viaEntry: otherEntry.displayName
+      });
+    }
+  }
+  return matches;
+};
+
+/**
+ * Determines which entries of a lorebook would be activated by the given story text.
+ * 
+ * This is a dry-run of NovelAI's activation rules:
+ * - Disabled entries never activate.
+ * - Entries with `forceActivation` always activate.
+ * - Other entries activate when one of their keys matches within the last `searchRange`
+ *   characters of the story.
+ * - Entries with `nonStoryActivatable` can also activate when one of their keys matches
+ *   the text of another activated entry, which can cascade further.
+ * 
+ * @param {NAI.LoreBook} lorebook
+ * @param {string} storyText
+ * @param {Partial<ActivationOptions>} [options]
+ * @returns {ActivationReport}
+ */
+exports.activate = (lorebook, storyText, options) => {
+  const { cascade } = { ...activationDefaults, ...options };
+
+  /** @type {ActivationResult[]} */
+  const results = lorebook.entries.map((entry) => {
+    if (!entry.enabled)
+      return { entry, activated: false, reason: "disabled", matches: [] };
+
+    const matches = exports.matchStory(entry, storyText);
+
+    if (entry.forceActivation)
+      return { entry, activated: true, reason: "forced", matches };
+
+    if (matches.length === 0)
+      return { entry, activated: false, reason: "unmatched", matches };
+
+    const keyIndex = Math.max(...matches.map((m) => m.index));
+    return { entry, activated: true, reason: "story", matches, keyIndex };
+  });
+
+  // Keep checking the cascading entries until nothing new activates.
+  if (cascade) {
+    const cascadingEntries = results
+      .filter((r) => r.reason === "unmatched")
+      .filter((r) => r.entry.nonStoryActivatable);
+    let lastActivated = results.filter((r) => r.activated).map((r) => r.entry);
+
+    while (lastActivated.length > 0) {
+      /** @type {NAI.LoreEntry[]} */
+      const newlyActivated = [];
+      for (const result of cascadingEntries) {
+        if (result.activated) continue;
+        const matches = exports.matchEntries(result.entry, lastActivated);
+        if (matches.length === 0) continue;
+        Object.assign(result, { activated: true, reason: "cascade", matches });
+        newlyActivated.push(result.entry);
+      }
+      lastActivated = newlyActivated;
+    }
+  }
+
+  const activated = results.filter((r) => r.activated).map((r) => r.entry);
+  return { results, activated };
+};
+
+/**
+ * Finds the positions between the units of some text, where text can be inserted
+ * or trimmed.  The start and end of the text are always included.
+ * 
+ * Tokens are approximated as words, since NovelAI's tokenizer is not available.
+ * 
+ * @param {string} text
+ * @param {UnitType} type
+ * @returns {number[]}
+ */
+exports.boundariesOf = (text, type) => {
+  const result = [0];
+  for (const match of text.matchAll(unitEnds[type])) {
+    const end = (match.index ?? 0) + match[0].length;
+    if (end <= result[result.length - 1]) continue;
+    if (end >= text.length) continue;
+    result.push(end);
+  }
+  if (text.length > 0) result.push(text.length);
+  return result;
+};
+
+/**
+ * Resolves a `tokenBudget` or `reservedTokens` value into a number of tokens.
+ * NovelAI treats values of `1` or less as a fraction of the context size.
+ * 
+ * @param {number} value
+ * @param {number} contextSize
+ * @returns {number}
+ */
+const resolveTokens = (value, contextSize) => {
+  if (value <= 0) return 0;
+  if (value <= 1) return Math.floor(value * contextSize);
+  return value;
+};
+
+/**
+ * Trims the text so it will fit in the budget, removing the smallest number of units
+ * it can.  Coarser units are tried first, going no finer than `maximumTrimType`.
+ * 
+ * Returns `undefined` if the text could not be made to fit.
+ * 
+ * @param {string} text
+ * @param {NAI.ContextConfig} config
+ * @param {number} budget
+ * @param {ContextOptions["countTokens"]} countTokens
+ * @returns {string | undefined}
+ */
+const trimToFit = (text, config, budget, countTokens) => {
+  const { prefix, suffix, trimDirection, maximumTrimType } = config;
+  /** @type {(text: string) => boolean} */
+  const fits = (text) => countTokens(`${prefix}${text}${suffix}`) <= budget;
+
+  if (fits(text)) return text;
+  if (trimDirection === "doNotTrim") return undefined;
+
+  const usableTypes = trimTypes.slice(0, trimTypes.indexOf(maximumTrimType) + 1);
+  for (const type of usableTypes) {
+    const bounds = exports.boundariesOf(text, type);
+    const lastIndex = bounds.length - 1;
+    /** @type {(unitsRemoved: number) => string} */
+    const trimmedBy = trimDirection === "trimTop"
+      ? (unitsRemoved) => text.slice(bounds[unitsRemoved])
+      : (unitsRemoved) => text.slice(0, bounds[lastIndex - unitsRemoved]);
+
+    // We must keep at least one unit; if that does not fit, try a finer unit.
+    let lo = 1, hi = lastIndex - 1;
+    if (hi < lo || !fits(trimmedBy(hi))) continue;
+
+    // Binary search for the fewest units that need removing.
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      if (fits(trimmedBy(mid))) hi = mid;
+      else lo = mid + 1;
+    }
+    return trimmedBy(lo);
+  }
+
+  return undefined;
+};
+
+/**
+ * Determines where in the current context an entry should be inserted.
+ * 
+ * Normally, positive positions count units from the top of the context and negative
+ * positions count from the bottom, with `-1` being the very end.
+ * 
+ * When an `anchor` is provided, for `keyRelative` entries, positions count from the unit
+ * containing the anchor instead; `0` is just after that unit, `-1` is just before it.
+ * 
+ * @param {string} context
+ * @param {NAI.ContextConfig} config
+ * @param {number} [anchor]
+ * @returns {number}
+ */
+const insertionPointOf = (context, config, anchor) => {
+  const { insertionType, insertionPosition } = config;
+  const bounds = exports.boundariesOf(context, insertionType);
+  const lastIndex = bounds.length - 1;
+  /** @type {(index: number) => number} */
+  const boundAt = (index) => bounds[Math.max(0, Math.min(lastIndex, index))];
+
+  if (anchor == null) {
+    if (insertionPosition >= 0) return boundAt(insertionPosition);
+    return boundAt(lastIndex + 1 + insertionPosition);
+  }
+
+  let unitIndex = 0;
+  while (unitIndex < lastIndex - 1 && bounds[unitIndex + 1] <= anchor) unitIndex += 1;
+  return boundAt(unitIndex + 1 + insertionPosition);
+};
+
+/**
+ * Assembles the context NovelAI would build from the lorebook and the given story text.
+ * 
+ * This is a dry-run of NovelAI's context assembly:
+ * - The story and all activated entries first reserve their `reservedTokens`, limited to
+ *   the number of tokens they actually need.
+ * - They are then inserted in order of `budgetPriority`, highest first.  Each may use up
+ *   to its `tokenBudget`, limited to what remains of the context plus its reservation.
+ * - Text that does not fit is trimmed according to `trimDirection`, by no finer a unit
+ *   than `maximumTrimType`, or dropped if it still does not fit.
+ * - Text is inserted at the `insertionPosition`, counted in units of `insertionType`,
+ *   within the context assembled so far.
+ * 
+ * Since NovelAI's tokenizer is not available, token counts are approximate unless a
+ * `countTokens` function is provided.
+ * 
+ * @param {NAI.LoreBook} lorebook
+ * @param {string} storyText
+ * @param {Partial<ContextOptions>} [options]
+ * @returns {ContextReport}
+ */
+exports.assemble = (lorebook, storyText, options) => {
+  const { contextSize, countTokens, story, activation: activationOptions } = {
+    ...contextDefaults,
+    ...options
+  };
+
+  const activation = exports.activate(lorebook, storyText, activationOptions);
+
+  // The story is assembled just like an entry, only with its own configuration.
+  const candidates = [
+    {
+      displayName: "Story",
+      entry: undefined,
+      text: storyText,
+      contextConfig: { ...DEFAULTS.storyContextDefaults, ...story }
+    },
+    ...activation.activated.map((entry) => ({
+      displayName: entry.displayName,
+      entry,
+      text: entry.text,
+      contextConfig: entry.contextConfig
+    }))
+  ].map((candidate) => {
+    const { prefix, suffix, reservedTokens } = candidate.contextConfig;
+    const neededTokens = countTokens(`${prefix}${candidate.text}${suffix}`);
+    const reserved = Math.min(neededTokens, resolveTokens(reservedTokens, contextSize));
+    return { ...candidate, reserved };
+  });
+
+  // `Array#sort` is stable, so ties will keep the lorebook's order.
+  const ordered = [...candidates].sort(
+    (a, b) => b.contextConfig.budgetPriority - a.contextConfig.budgetPriority
+  );
+
+  let remaining = contextSize - candidates.reduce((acc, c) => acc + c.reserved, 0);
+  let context = "";
+
+  /**
+   * The positions of key matches within the current context, for entries that are
+   * `keyRelative`.  These become available once the story is inserted.
+   * 
+   * @type {Map<NAI.LoreEntry, number>}
+   */
+  const anchors = new Map();
+
+  /** @type {ContextResult[]} */
+  const results = [];
+  for (const candidate of ordered) {
+    const { displayName, entry, text, contextConfig, reserved } = candidate;
+    const available = Math.max(0, remaining + reserved);
+    const budget = Math.min(available, resolveTokens(contextConfig.tokenBudget, contextSize));
+    const baseResult = { displayName, entry, contextConfig, reserved, budget };
+
+    const trimmedText = trimToFit(text, contextConfig, budget, countTokens);
+    if (trimmedText == null) {
+      results.push({ ...baseResult, status: "dropped", text: "", tokens: 0, keyRelative: false });
+      remaining = available;
+      continue;
+    }
+
+    const { prefix, suffix } = contextConfig;
+    const insertedText = `${prefix}${trimmedText}${suffix}`;
+    const tokens = countTokens(insertedText);
+    const anchor = entry?.keyRelative ? anchors.get(entry) : undefined;
+    const point = insertionPointOf(context, contextConfig, anchor);
+
+    context = `${context.slice(0, point)}${insertedText}${context.slice(point)}`;
+    for (const [anchoredEntry, position] of anchors)
+      if (point <= position) anchors.set(anchoredEntry, position + insertedText.length);
+
+    // With the story inserted, we can locate the key matches of activated entries.
+    if (!entry) {
+      const keptStart = contextConfig.trimDirection === "trimTop"
+        ? storyText.length - trimmedText.length
+        : 0;
+      const keptEnd = keptStart + trimmedText.length;
+      const storyStart = point + prefix.length;
+
+      for (const { entry: activeEntry, keyIndex } of activation.results) {
+        if (keyIndex == null || !activeEntry.keyRelative) continue;
+        if (keyIndex < keptStart || keyIndex >= keptEnd) continue;
+        anchors.set(activeEntry, storyStart + keyIndex - keptStart);
+      }
+    }
+
+    results.push({
+      ...baseResult,
+      status: trimmedText === text ? "inserted" : "trimmed",
+      text: insertedText,
+      tokens,
+      keyRelative: anchor != null
+    });
+    remaining = available - tokens;
+  }
+
+  return { context, tokens: countTokens(context), results, activation };
+};
+
+/** The separators placed between the words of a sample text, by how often they appear. */
+const separators = [" ", " ", " ", " ", ", ", ". ", "\n"];
+
+/**
+ * Creates a seeded random number generator, returning numbers from `0` up to `1`.
+ * 
+ * @param {number} seed
+ * @returns {() => number}
+ */
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Generates sample texts made up of words from a vocabulary, in random order and
+ * capitalization, separated by spaces, punctuation and line-breaks.
+ * 
+ * @param {Partial<SampleOptions>} [options]
+ * @returns {string[]}
+ */
+exports.sampleTexts = (options) => {
+  const { vocabulary, count, maxWords, seed } = { ...sampleDefaults, ...options };
+  const random = seededRandom(seed);
+  /** @type {<T>(items: T[]) => T} */
+  const pick = (items) => items[Math.floor(random() * items.length)];
+
+  /** @type {string[]} */
+  const texts = [];
+  for (let i = 0; i < count; i++) {
+    const length = 1 + Math.floor(random() * maxWords);
+    let text = "";
+    for (let j = 0; j < length; j++) {
+      const word = pick(vocabulary);
+      if (j > 0) text += pick(separators);
+      text += random() < 0.2 ? `${word[0].toUpperCase()}${word.slice(1)}` : word;
+    }
+    texts.push(text);
+  }
+  return texts;
+};
\ No newline at end of file
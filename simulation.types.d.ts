@@ -0,0 +1,181 @@
+export interface KeyMatch {
+  /** The key, as it appears in the `NAI.LoreEntry`. */
+  key: string;
+
+  /**
+   * Where the match was found.
+   * - `"story"` - In the searched portion of the story text.
+   * - `"cascade"` - In the text of another activated entry.
+   */
+  source: "story" | "cascade";
+
+  /**
+   * The position of the last match of the key.  For `"story"` matches, this is
+   * an index into the full story text, not just the searched portion.
+   */
+  index: number;
+
+  /** The text that was matched. */
+  text: string;
+
+  /** For `"cascade"` matches, the display name of the entry whose text matched. */
+  viaEntry?: string;
+}
+
+export type ActivationReason
+  /** The entry is disabled and can never activate. */
+  = "disabled"
+  /** The entry has `forceActivation` enabled. */
+  | "forced"
+  /** One of the entry's keys matched in the story. */
+  | "story"
+  /** One of the entry's keys matched in the text of another activated entry. */
+  | "cascade"
+  /** None of the entry's keys matched. */
+  | "unmatched";
+
+export interface ActivationResult {
+  /** The entry this result is for. */
+  entry: NAI.LoreEntry;
+
+  /** Whether the entry would be activated. */
+  activated: boolean;
+
+  /** Why the entry was or was not activated. */
+  reason: ActivationReason;
+
+  /** All the keys that matched, in the order of the entry's `keys`. */
+  matches: KeyMatch[];
+
+  /**
+   * The position in the story text of the last matched key, if the entry was activated
+   * by the story.  This is used to position entries that are `keyRelative`.
+   */
+  keyIndex?: number;
+}
+
+export interface ActivationReport {
+  /** The results for every entry in the lorebook, in the lorebook's order. */
+  results: ActivationResult[];
+
+  /** Only the entries that would be activated, in the lorebook's order. */
+  activated: NAI.LoreEntry[];
+}
+
+export interface ActivationOptions {
+  /**
+   * Whether entries with `nonStoryActivatable` enabled can be activated by the text
+   * of other activated entries.
+   * 
+   * Defaults to `true`.
+   */
+  cascade: boolean;
+}
+
+export interface ContextOptions {
+  /**
+   * The total number of tokens available to the context.
+   * 
+   * Defaults to `2048`.
+   */
+  contextSize: number;
+
+  /**
+   * Counts the tokens in a string.  NovelAI's tokenizer is not available here, so
+   * the default is an approximation of one token for every four characters.
+   */
+  countTokens: (text: string) => number;
+
+  /** Overrides for the story's own context configuration. */
+  story: Partial<NAI.ContextConfig>;
+
+  /** Options used when determining which entries are activated. */
+  activation: Partial<ActivationOptions>;
+}
+
+export type ContextStatus
+  /** The text was inserted without changes. */
+  = "inserted"
+  /** The text was trimmed to fit within the available budget, then inserted. */
+  | "trimmed"
+  /** The text could not fit within the available budget. */
+  | "dropped";
+
+export interface ContextResult {
+  /** The display name of the entry, or `"Story"` for the story itself. */
+  displayName: string;
+
+  /** The entry this result is for; `undefined` for the story itself. */
+  entry?: NAI.LoreEntry;
+
+  /** The context configuration that was used. */
+  contextConfig: NAI.ContextConfig;
+
+  /** What happened to the entry's text. */
+  status: ContextStatus;
+
+  /** The text that was inserted, including the prefix and suffix. */
+  text: string;
+
+  /** The number of tokens that were inserted. */
+  tokens: number;
+
+  /** The number of tokens that were reserved for this entry ahead of time. */
+  reserved: number;
+
+  /** The number of tokens this entry was allowed to use when it was inserted. */
+  budget: number;
+
+  /**
+   * Whether the insertion was positioned relative to a key match.  This only happens
+   * for entries with `keyRelative` enabled that were activated by the story and when
+   * the matched text was already present in the context.
+   */
+  keyRelative: boolean;
+}
+
+export interface ContextReport {
+  /** The assembled context. */
+  context: string;
+
+  /** The total number of tokens used by the assembled context. */
+  tokens: number;
+
+  /**
+   * The results for the story and every activated entry, in the order they were
+   * inserted into the context.
+   */
+  results: ContextResult[];
+
+  /** The report from activating the entries. */
+  activation: ActivationReport;
+}
+
+export interface SampleOptions {
+  /**
+   * The words the sample texts are made from.  Words that start with other words, like
+   * "cat" and "catalog", help check the difference between `LIT` and `PRE`.
+   */
+  vocabulary: string[];
+
+  /**
+   * The number of texts to generate.
+   * 
+   * Defaults to `200`.
+   */
+  count: number;
+
+  /**
+   * The most words in each text.
+   * 
+   * Defaults to `12`.
+   */
+  maxWords: number;
+
+  /**
+   * The seed for the random generator, so the same texts are generated each time.
+   * 
+   * Defaults to `1`.
+   */
+  seed: number;
+}
\ No newline at end of file
@@ -35,4 +35,35 @@ exports.entryDefaults = {
  */
 exports.lorebookDefaults = {
   orderByKeyLocations: false
+};
+
+/**
+ * The default `ContextConfig` NovelAI uses for the story itself.
+ * 
+ * @type {NAI.ContextConfig}
+ */
+exports.storyContextDefaults = {
+  prefix: "",
+  suffix: "",
+  tokenBudget: 2048,
+  reservedTokens: 512,
+  budgetPriority: 0,
+  trimDirection: "trimTop",
+  insertionType: "newline",
+  maximumTrimType: "sentence",
+  insertionPosition: -1
+};
+
+/**
+ * The default `LoreBiasGroup` for a `LoreEntry`.
+ * 
+ * @type {NAI.LoreBiasGroup}
+ */
+exports.biasGroupDefaults = {
+  phrases: [],
+  ensureSequenceFinish: false,
+  generateOnce: true,
+  bias: 0,
+  enabled: true,
+  whenInactive: false
 };
\ No newline at end of file
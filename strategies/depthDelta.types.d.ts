@@ -20,6 +20,8 @@ export interface UniqueConfig {
 export interface DepthDeltaConfig extends Partial<UniqueConfig> {
   context?: Partial<NAI.ContextConfig>;
   entry?: Partial<NAI.LoreEntryConfig>;
+  /** The category for entries that use this strategy; see `TLG.BuildableEntry.category`. */
+  category?: TLG.Category;
 }
 
 export type DepthDeltaStrategy = TLG.Config.Strategy<"DepthDelta", DepthDeltaConfig>;
\ No newline at end of file
@@ -1,6 +1,6 @@
 /** @typedef {Partial<NAI.ContextConfig>} FixedContextConfig */
 /** @typedef {Partial<NAI.LoreEntryConfig>} FixedEntryConfig */
-/** @typedef {Partial<{ context: FixedContextConfig, entry: FixedEntryConfig }>} FixedStrategyConfig */
+/** @typedef {Partial<{ context: FixedContextConfig, entry: FixedEntryConfig, category: TLG.Category }>} FixedStrategyConfig */
 /** @typedef {TLG.Config.Strategy<"Fixed", FixedStrategyConfig>} FixedStrategy */
 
 /**
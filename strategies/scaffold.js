@@ -20,6 +20,9 @@ const CONTEXT_DEFAULTS = {
  * Internal function to construct a `DepthDeltaStrategy` from a set of format-specific
  * defaults.  This is used just to simplify things for the exported methods.
  * 
+ * Most of the defaults also place their entries in a category named for what they
+ * describe, such as `"Characters"`, for the lorebook versions that support categories.
+ * 
  * @param {Partial<DepthDeltaConfig>} baseConfig 
  * @param {Partial<DepthDeltaConfig>} defaults
  * @returns {DepthDeltaStrategy}
@@ -28,6 +31,7 @@ exports.strategyBuilder = (baseConfig, defaults) => {
   const { context, entry, ...restConfig } = baseConfig;
 
   const theConfig = {
+    category: defaults.category,
     ...restConfig,
     context: dropUndefProps({ ...CONTEXT_DEFAULTS, ...defaults.context, ...context }),
     entry: dropUndefProps({ ...defaults.entry, ...entry })
@@ -42,6 +46,7 @@ exports.strategyBuilder = (baseConfig, defaults) => {
  * @type {StrategyFn}
  */
 exports.Concept = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
+  category: "Concepts",
   context: {
     reservedTokens: 100,
     budgetPriority: -200,
@@ -58,6 +63,7 @@ exports.Concept = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
  * @type {StrategyFn}
  */
 exports.Race = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
+  category: "Races",
   context: {
     reservedTokens: 100,
     budgetPriority: -300,
@@ -74,6 +80,7 @@ exports.Race = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
  * @type {StrategyFn}
  */
 exports.Place = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
+  category: "Places",
   context: {
     reservedTokens: 100,
     budgetPriority: -400,
@@ -90,6 +97,7 @@ exports.Place = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
  * @type {StrategyFn}
  */
 exports.Faction = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
+  category: "Factions",
   context: {
     reservedTokens: 100,
     budgetPriority: -500,
@@ -125,6 +133,7 @@ exports.Overview = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
  * @type {StrategyFn}
  */
 exports.IrregularRace = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
+  category: "Races",
   context: {
     reservedTokens: 200,
     budgetPriority: -650,
@@ -141,6 +150,7 @@ exports.IrregularRace = (baseConfig = {}) => exports.strategyBuilder(baseConfig,
  * @type {StrategyFn}
  */
 exports.Character = (baseConfig = {}) => exports.strategyBuilder(baseConfig, {
+  category: "Characters",
   context: {
     reservedTokens: 100,
     budgetPriority: -700,
@@ -0,0 +1,38 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { analyze } = require("../analysis");
+const { buildEntries } = require("../building");
+const { LIT } = require("../matching");
+
+describe("analyze", () => {
+  test("reports siblings with the same keys", () => {
+    const lorebook = buildEntries({
+      entries: [{
+        name: "Rook",
+        keys: [LIT("rook")],
+        text: "Rook is an otter.",
+        subEntries: [
+          { name: "Fish", keys: [LIT("fish")], text: "Rook likes fish." },
+          { name: "Food", keys: [LIT("fish")], text: "Rook eats fish." }
+        ]
+      }]
+    });
+    const findings = analyze(lorebook);
+    assert.deepStrictEqual(findings.map(({ kind, displayNames }) => ({ kind, displayNames })), [
+      { kind: "same-keys", displayNames: ["Rook - Fish", "Rook - Food"] }
+    ]);
+  });
+
+  test("reports siblings with broader keys", () => {
+    const lorebook = buildEntries({
+      entries: [
+        { name: "Otters", keys: [LIT("rook"), LIT("otter")], text: "Otters swim." },
+        { name: "Rook", keys: [LIT("rook")], text: "Rook is an otter." }
+      ]
+    });
+    const findings = analyze(lorebook);
+    assert.deepStrictEqual(findings.map(({ kind, displayNames }) => ({ kind, displayNames })), [
+      { kind: "broader-keys", displayNames: ["Otters", "Rook"] }
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { buildEntries } = require("../building");
+const { LIT, ALT, AND, WORD, CASE_SENSITIVE } = require("../matching");
+const { ConfigError } = require("../validating");
+
+describe("buildEntries", () => {
+  test("reports entries that share an id", () => {
+    const lorebook = buildEntries({
+      settings: { lorebookVersion: 3 },
+      entries: [
+        { id: "rook", name: "Rook", keys: [LIT("rook")], text: "Rook is an otter." },
+        { id: "rook", name: "Otter", keys: [LIT("otter")], text: "Otters swim." }
+      ]
+    });
+    const { warnings } = lorebook.report();
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /"Otter" has the same id as "Rook"/);
+  });
+
+  test("reports keys that lost their case-sensitivity without linting", () => {
+    const lorebook = buildEntries({
+      entries: [{ name: "Will", keys: [AND(CASE_SENSITIVE(LIT("Will")), /(a)\1/)], text: "Will is a fox." }]
+    });
+    const { lint } = lorebook.report();
+    assert.deepStrictEqual(lint.map((warning) => warning.rule), ["case-sensitivity-lost"]);
+  });
+});
+
+describe("bias groups", () => {
+  /** @type {(lorebook: NAI.LoreBook) => unknown[]} */
+  const biasOf = (lorebook) => lorebook.entries.map((entry) => [
+    entry.displayName,
+    (entry.loreBiasGroups ?? []).map((group) => [group.phrases.map((phrase) => phrase.sequence), group.bias])
+  ]);
+
+  test("are written out with the words of their phrases and their options", () => {
+    const lorebook = buildEntries({
+      settings: { lorebookVersion: 4 },
+      entries: [{
+        name: "Rook",
+        keys: [LIT("rook")],
+        text: "Rook is an otter.",
+        bias: [{ phrases: [ALT(LIT("fish"), WORD("otter")), "Rook", LIT("fish")], strength: 0.2, whenInactive: true }]
+      }]
+    });
+    const [group] = lorebook.entries[0].loreBiasGroups ?? [];
+    assert.deepStrictEqual(group.phrases.map((phrase) => phrase.sequence), ["fish", "otter", "otters", "Rook"]);
+    assert.strictEqual(group.bias, 0.2);
+    assert.strictEqual(group.whenInactive, true);
+    assert.strictEqual(group.ensureSequenceFinish, false);
+  });
+
+  test("are inherited by sub-entries, unless they give their own `baseBias`", () => {
+    const lorebook = buildEntries({
+      settings: { lorebookVersion: 4 },
+      entries: [{
+        name: "Rook",
+        keys: [LIT("rook")],
+        text: "Rook is an otter.",
+        bias: [{ phrases: [LIT("fish")], strength: 0.2 }],
+        subEntries: [
+          { name: "Swim", keys: [LIT("swim")], text: "Rook swims.", bias: [{ phrases: [LIT("river")], strength: 0.1 }] },
+          { name: "Sleep", keys: [LIT("sleep")], text: "Rook sleeps.", baseBias: [] },
+          { name: "Eat", keys: [LIT("eat")], text: "Rook eats.", baseBias: (groups) => groups.map((group) => ({ ...group, strength: -0.1 })) }
+        ]
+      }]
+    });
+    assert.deepStrictEqual(biasOf(lorebook), [
+      ["Rook", [[["fish"], 0.2]]],
+      ["Rook - Swim", [[["fish"], 0.2], [["river"], 0.1]]],
+      ["Rook - Sleep", []],
+      ["Rook - Eat", [[["fish"], -0.1]]]
+    ]);
+  });
+
+  test("must be made only of words", () => {
+    const bias = [{ phrases: [AND("fish", "river")], strength: 0.2 }];
+    const entries = [{ name: "Rook", keys: [LIT("rook")], text: "Rook is an otter.", bias }];
+    assert.throws(() => buildEntries({ settings: { lorebookVersion: 4 }, entries }), ConfigError);
+  });
+});
\ No newline at end of file
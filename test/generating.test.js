@@ -0,0 +1,96 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { buildEntries } = require("../building");
+const { generateFromLorebook, generateSource } = require("../generating");
+const { ALT, AND, LIT, NEAR, PRE, REGEX, WITH, WORD } = require("../matching");
+const { DepthDelta } = require("../strategies/depthDelta");
+const { Fixed } = require("../strategies/fixed");
+const { Concept } = require("../strategies/scaffold");
+
+/**
+ * Runs a generated module, giving back the lorebook it would have saved.
+ * 
+ * @param {string} source
+ * @returns {NAI.LoreBook}
+ */
+const runSource = (source) => {
+  /** @type {NAI.LoreBook | undefined} */
+  let saved = undefined;
+  const utils = {
+    getName: () => "generated",
+    saveLorebook: (/** @type {string} */ _, /** @type {NAI.LoreBook} */ lorebook) => { saved = lorebook; }
+  };
+  /** @type {(path: string) => unknown} */
+  const requireFor = (path) => path === "./utils" ? utils : require(path.replace(/^\.\//, "../"));
+  new Function("require", "__filename", source)(requireFor, "generated.js");
+  if (!saved) throw new Error("The generated module did not save a lorebook.");
+  return saved;
+};
+
+describe("generateFromLorebook", () => {
+  test("keeps keys written for Unicode", () => {
+    const lorebook = buildEntries({
+      settings: { unicode: true },
+      entries: [{ name: "Émile", keys: [AND("émile", "château")], text: "Émile lives in a château." }]
+    });
+    const source = generateFromLorebook(lorebook);
+    assert.match(source, /unicode: true/);
+    assert.deepStrictEqual(runSource(source).entries[0].keys, lorebook.entries[0].keys);
+  });
+});
+
+describe("generateSource", () => {
+  const rookKeys = [LIT("rook"), WORD("otter")];
+  /** @type {TLG.BuilderConfig} */
+  const config = {
+    strategy: DepthDelta(),
+    settings: { lorebookVersion: 4 },
+    entries: [
+      {
+        name: "Rook",
+        keys: rookKeys,
+        text: "Rook is an otter.",
+        subOp: NEAR(3),
+        subEntries: [{
+          name: "Fish",
+          keys: [ALT(LIT("fish"), PRE("salmon")), ["river", AND, LIT("swim")]],
+          bias: [{ phrases: [LIT("fish")], strength: 0.1 }],
+          text: "Rook likes fish."
+        }]
+      },
+      { name: "Concept: Rivers", keys: ["river"], text: "Rivers flow.", strategy: Concept() },
+      { name: "Otters", keys: rookKeys, baseOp: WITH, text: "Otters swim.", strategy: Fixed({ context: { budgetPriority: 100 } }) }
+    ]
+  };
+
+  test("writes phrases and strategies with their helpers", () => {
+    const source = generateSource(config);
+    assert.match(source, /const \{ LIT, WORD, EXP, ALT, AND, WITH, NEAR \} = require\("\.\/matching"\);/);
+    assert.match(source, /keys: \[ALT\(LIT\("fish"\), "salmon"\), EXP\("river", AND, LIT\("swim"\)\)\]/);
+    assert.match(source, /strategy: DepthDelta\(\)/);
+    assert.match(source, /strategy: Scaffold\.Concept\(\)/);
+    assert.match(source, /budgetPriority: 100/);
+  });
+
+  test("pulls out the keys that several entries use", () => {
+    const source = generateSource(config);
+    assert.match(source, /const keys = \{\n {2}rook: \[LIT\("rook"\), WORD\("otter"\)\]\n\};/);
+    assert.strictEqual(source.match(/keys: keys\.rook/g)?.length, 2);
+  });
+
+  test("writes a module that builds the same lorebook", () => {
+    const built = buildEntries(config);
+    const generated = runSource(generateSource(config));
+    /** @type {(lorebook: NAI.LoreBook) => unknown[]} */
+    const contentsOf = (lorebook) => lorebook.entries.map((entry) => {
+      const { displayName, keys, text, contextConfig, loreBiasGroups } = entry;
+      return { displayName, keys, text, contextConfig, loreBiasGroups };
+    });
+    assert.deepStrictEqual(contentsOf(generated), contentsOf(built));
+  });
+
+  test("gives the unicode setting to patterns that need it", () => {
+    const source = generateSource({ entries: [{ name: "Capital", keys: [REGEX("/\\p{Lu}x/iu")], text: "X." }] });
+    assert.deepStrictEqual(runSource(source).entries[0].keys, ["/\\p{Lu}x/iu"]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { buildEntries } = require("../building");
+const { importLorebook, warningsOf } = require("../importing");
+const { AND, REGEX } = require("../matching");
+const { toRegExp } = require("../simulation");
+
+describe("importLorebook", () => {
+  test("reports keys that could not be parsed", () => {
+    const lorebook = buildEntries({
+      entries: [{ name: "Rook", keys: [REGEX("/rook/i")], text: "Rook is an otter." }]
+    });
+    const entries = lorebook.entries.map((entry) => ({ ...entry, keys: ["/(a)\\1/i"] }));
+    const config = importLorebook({ ...lorebook, entries });
+    assert.strictEqual(warningsOf(config).length, 1);
+    assert.match(warningsOf(config)[0], /^Rook: Key `\/\(a\)\\1\/i` could not be parsed/);
+  });
+
+  test("keeps keys written for Unicode", () => {
+    const lorebook = buildEntries({
+      settings: { unicode: true },
+      entries: [{ name: "Émile", keys: [AND("émile", "château")], text: "Émile lives in a château." }]
+    });
+    const config = importLorebook(lorebook);
+    assert.strictEqual(config.settings?.unicode, true);
+    const [key] = buildEntries(config).entries[0].keys;
+    assert.strictEqual(key, lorebook.entries[0].keys[0]);
+    assert.strictEqual(toRegExp(key).test("Rémile at the château"), false);
+  });
+});
\ No newline at end of file
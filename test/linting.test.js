@@ -0,0 +1,38 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { analyzePattern, lintKey } = require("../linting");
+const { asEscaped, BEYOND, NEAR } = require("../matching");
+
+describe("analyzePattern", () => {
+  test("finds unbounded lookbehinds nested in a lookbehind", () => {
+    assert.strictEqual(analyzePattern("a(?<=b(?<=[\\s\\S]*c))").nestedInLookbehind, true);
+    assert.strictEqual(analyzePattern("a(?<=b(?:(?<=c+)d))").nestedInLookbehind, true);
+  });
+
+  test("finds repeated groups that can match the same text in several ways", () => {
+    assert.strictEqual(analyzePattern("a(?<=(?:b+)+c)").nestedInLookbehind, true);
+    assert.strictEqual(analyzePattern("a(?<=(?:\\w+\\s*)*c)").nestedInLookbehind, true);
+    assert.strictEqual(analyzePattern("a(?<=(?:\\w+\\W+)*c)").nestedInLookbehind, false);
+  });
+
+  test("does not count a lookahead as being in the lookbehind around it", () => {
+    assert.strictEqual(analyzePattern("a(?<=b(?=[\\s\\S]*c))").nestedInLookbehind, false);
+    assert.strictEqual(analyzePattern("a(?<=b(?=c(?<=d+)))").nestedInLookbehind, false);
+  });
+});
+
+describe("lintKey", () => {
+  test("does not report the keys of `NEAR` and `BEYOND`", () => {
+    for (const phrase of [NEAR(3)("a", "b"), BEYOND(3)("a", "b")]) {
+      assert.deepStrictEqual(lintKey(phrase.toNAI(), phrase), []);
+      assert.deepStrictEqual(lintKey(phrase.toNAI({ unicode: true }), phrase), []);
+    }
+  });
+
+  test("reports the discarded flags of a `RegExp`", () => {
+    const phrase = asEscaped(/abc/su);
+    const warnings = lintKey(phrase.toNAI(), phrase);
+    assert.deepStrictEqual(warnings.map((warning) => warning.rule), ["dropped-flags"]);
+    assert.match(warnings[0].message, /the flags `s` were discarded/);
+  });
+});
\ No newline at end of file
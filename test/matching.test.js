@@ -0,0 +1,46 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { buildEntries } = require("../building");
+const { LIT, NEAR, PRE } = require("../matching");
+const { toRegExp } = require("../simulation");
+
+describe("the `unicode` option", () => {
+  /**
+   * Checks if the key of a phrase, rendered with the given `unicode` option, matches.
+   * 
+   * @param {TLG.Matching.EscapedRegex} phrase
+   * @param {string} text
+   * @param {boolean} unicode
+   * @returns {boolean}
+   */
+  const matches = (phrase, text, unicode) => toRegExp(phrase.toNAI({ unicode })).test(text);
+
+  test("finds the boundaries of words with letters outside of ASCII", () => {
+    assert.strictEqual(matches(LIT("zoë"), "Zoë said", false), false);
+    assert.strictEqual(matches(LIT("zoë"), "Zoë said", true), true);
+    assert.strictEqual(matches(PRE("ærwyn"), "The Ærwyns", true), true);
+    assert.strictEqual(matches(LIT("иван"), "Иван", true), true);
+  });
+
+  test("does not match inside such words", () => {
+    assert.strictEqual(matches(LIT("zoë"), "Zoëy", false), true);
+    assert.strictEqual(matches(LIT("zoë"), "Zoëy", true), false);
+    assert.strictEqual(matches(LIT("иван"), "Иванов", true), false);
+  });
+
+  test("counts such words in the proximity operators", () => {
+    const phrase = NEAR(1)("zoë", "иван");
+    assert.strictEqual(matches(phrase, "Zoë и Иван", true), true);
+    assert.strictEqual(matches(phrase, "Zoë и Ольга и Иван", true), false);
+  });
+
+  test("is given to every key by the `unicode` setting", () => {
+    const keys = [LIT("zoë"), NEAR(1)("zoë", "иван")];
+    const lorebook = buildEntries({
+      settings: { unicode: true },
+      entries: [{ name: "Zoë", keys, text: "Zoë is a fox." }]
+    });
+    assert.deepStrictEqual(lorebook.entries[0].keys, keys.map((key) => key.toNAI({ unicode: true })));
+    assert.ok(lorebook.entries[0].keys.every((key) => key.endsWith("/iu")));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { buildEntries } = require("../building");
+const { LIT } = require("../matching");
+const { mergeLorebook } = require("../merging");
+
+describe("mergeLorebook", () => {
+  const built = buildEntries({
+    settings: { lorebookVersion: 3 },
+    entries: [{ name: "Rook", keys: [LIT("rook")], text: "Rook is an otter." }]
+  });
+
+  test("keeps the ids of existing entries", () => {
+    const existing = { ...built, entries: built.entries.map((entry) => ({ ...entry, id: "existing-id" })) };
+    const { lorebook } = mergeLorebook(existing, built);
+    assert.deepStrictEqual(lorebook.entries.map((entry) => entry.id), ["existing-id"]);
+  });
+
+  test("gives entries from a lorebook without ids the built ids", () => {
+    /** @type {NAI.LoreBook} */
+    const existing = {
+      ...built,
+      lorebookVersion: 2,
+      entries: built.entries.map(({ id: _, ...entry }) => entry)
+    };
+    const { lorebook } = mergeLorebook(existing, built);
+    assert.strictEqual(lorebook.lorebookVersion, 3);
+    assert.deepStrictEqual(lorebook.entries.map((entry) => entry.id), built.entries.map((entry) => entry.id));
+  });
+});
\ No newline at end of file
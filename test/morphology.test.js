@@ -0,0 +1,34 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { WORD } = require("../matching");
+const { inflect } = require("../morphology");
+
+describe("inflect", () => {
+  test("produces only the plural by default", () => {
+    assert.deepStrictEqual(inflect("deity"), ["deities"]);
+    assert.deepStrictEqual(inflect("Wolf"), ["Wolves"]);
+  });
+
+  test("only gives `-ves` to the words that take it", () => {
+    const plurals = ["knife", "wife", "wolf", "werewolf", "shelf", "leaf", "thief"].map((word) => inflect(word));
+    assert.deepStrictEqual(plurals, [["knives"], ["wives"], ["wolves"], ["werewolves"], ["shelves"], ["leaves"], ["thieves"]]);
+    const others = ["cafe", "safe", "giraffe", "gulf", "roof", "chief", "belief"].map((word) => inflect(word));
+    assert.deepStrictEqual(others, [["cafes"], ["safes"], ["giraffes"], ["gulfs"], ["roofs"], ["chiefs"], ["beliefs"]]);
+  });
+
+  test("produces the forms of verbs when asked for", () => {
+    assert.deepStrictEqual(inflect("run", { inflections: ["plural", "ing", "ed"] }), ["runs", "running", "ran"]);
+    assert.deepStrictEqual(inflect("stop", { inflections: ["ing"] }), ["stopping"]);
+  });
+
+  test("produces the inflections that are given forms", () => {
+    assert.deepStrictEqual(inflect("see", { ed: ["saw", "seen"] }), ["sees", "saw", "seen"]);
+  });
+});
+
+describe("WORD", () => {
+  test("renders an optional plural greedily", () => {
+    assert.strictEqual(WORD("religion").toNAI(), "/\\breligions?\\b/i");
+    assert.strictEqual(WORD("wolf").toNAI(), "/\\bwol(?:f|ves)\\b/i");
+  });
+});
\ No newline at end of file
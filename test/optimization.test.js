@@ -0,0 +1,44 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { ALT, AND, CASE_SENSITIVE, LIT, NEAR, PRE, WORD } = require("../matching");
+const { compactWords, optimize } = require("../optimization");
+const { sampleTexts } = require("../simulation");
+const reference = require("./reference");
+
+describe("compactWords", () => {
+  test("factors out shared prefixes, keeping the order of the words", () => {
+    assert.strictEqual(compactWords(["wolf", "wolves"]), "wol(?:f|ves)");
+    assert.strictEqual(compactWords(["cat", "catalog", "dog"]), "(?:cat(?:alog)??|dog)");
+    assert.strictEqual(compactWords(["god", "gods"]), "gods??");
+    assert.strictEqual(compactWords(["god", "gods"], true), "gods?");
+  });
+});
+
+describe("optimize", () => {
+  test("removes duplicate alternates and reports what was saved", () => {
+    const phrase = ALT(LIT("cat"), LIT("catalog"), LIT("cat"), PRE("dog"));
+    const result = optimize(phrase);
+    assert.strictEqual(result.phrase.toNAI(), "/\\bcat(?:alog)??\\b|\\bdog/i");
+    assert.strictEqual(result.before, phrase.toNAI().length);
+    assert.strictEqual(result.saved, result.before - result.phrase.toNAI().length);
+  });
+
+  test("matches exactly the same text", () => {
+    const texts = sampleTexts({ vocabulary: ["cat", "catalog", "Rook", "rook", "wolf", "wolves", "wolfish", "dog"] });
+    /** @type {Array<[name: string, phrase: TLG.Matching.Phrase]>} */
+    const cases = [
+      ["words", ALT(LIT("cat"), LIT("catalog"), LIT("cat"), PRE("dog"))],
+      ["case-sensitive words", ALT(CASE_SENSITIVE(LIT("Rook")), LIT("rook"), WORD("wolf"), LIT("wolfish"))],
+      ["words in operators", AND(ALT(LIT("cat"), LIT("catalog")), NEAR(2)(ALT(WORD("wolf"), LIT("rook")), PRE("dog")))]
+    ];
+    /** @type {Array<Partial<TLG.Matching.RenderOptions>>} */
+    const renders = [{}, { unicode: true }];
+
+    for (const [name, phrase] of cases) {
+      for (const render of renders) {
+        const result = reference.comparePhrase(name, phrase, texts, { optimize: true, render });
+        assert.deepStrictEqual(result.disagreements, [], reference.formatResult(result));
+      }
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { ALT, AND, asEscaped, AT_LEAST, BEYOND, LIT, NEAR, OPEN, POST, PRE, REGEX, WITH } = require("../matching");
+const { parse, parseRegex, QuerySyntaxError, RegexSyntaxError } = require("../parsing");
+const { toRegExp } = require("../simulation");
+
+describe("parseRegex", () => {
+  test("rejects backreferences", () => {
+    assert.throws(() => parseRegex("/(a)\\1/i"), RegexSyntaxError);
+    assert.throws(() => parseRegex("/(?<x>a)\\k<x>/i"), RegexSyntaxError);
+  });
+
+  test("rejects flags other than `i` and `u`", () => {
+    assert.throws(() => parseRegex("/^cat/im"), RegexSyntaxError);
+    assert.throws(() => parseRegex("/cat./su"), RegexSyntaxError);
+    assert.throws(() => parseRegex("/(?s)cat./i"), RegexSyntaxError);
+  });
+
+  test("keeps the `u` flag of keys rendered for Unicode", () => {
+    const key = AND("émile", "château").toNAI({ unicode: true });
+    assert.strictEqual(REGEX(key).toNAI(), key);
+    assert.strictEqual(AND(REGEX("/\\p{Lu}x/iu"), "y").toNAI().slice(-3), "/iu");
+  });
+
+  test("makes capturing groups non-capturing", () => {
+    assert.strictEqual(REGEX("/(re)lig(?<end>ion|ious)/i").toNAI(), "/(?:re)lig(?:ion|ious)/i");
+    assert.strictEqual(REGEX("/\\(a[(]b(?<=c)/i").toNAI(), "/\\(a[(]b(?<=c)/i");
+    const key = AND(REGEX("/(?<x>a)b/i"), REGEX("/(?<x>c)d/i")).toNAI();
+    assert.doesNotThrow(() => toRegExp(key));
+  });
+});
+
+describe("parse", () => {
+  test("builds the same phrases as the phrase helpers", () => {
+    /** @type {Array<[query: string, phrase: TLG.Matching.Phrase]>} */
+    const cases = [
+      ['"taleir" NEAR(5) (jasco | city | =rook)', NEAR(5)(PRE("taleir"), ALT(PRE("jasco"), PRE("city"), LIT("rook")))],
+      ["*ing and *ant*", AND(POST("ing"), OPEN("ant"))],
+      ['="exact words"', LIT("exact words")],
+      ["/Rook/", REGEX("/Rook/")],
+      ["a | b AND c", AND(ALT("a", "b"), "c")],
+      ["a AND b WITH c", WITH(AND("a", "b"), "c")],
+      ["a NEAR(2, 5) b", NEAR([2, 5])("a", "b")],
+      ["a BEYOND(10, multiline) b", BEYOND(10, false)("a", "b")],
+      ["AT_LEAST(3) (god | temple)", AT_LEAST(3)(ALT("god", "temple"))],
+      ['"and" and speaker', AND("and", "speaker")]
+    ];
+    for (const [query, phrase] of cases)
+      assert.strictEqual(parse(query).toNAI(), asEscaped(phrase).toNAI(), query);
+  });
+
+  test("reports the column of syntax errors", () => {
+    /** @type {Array<[query: string, column: number]>} */
+    const cases = [
+      ["a AND", 6],
+      ["(a | b", 7],
+      ["a FOO b", 3],
+      ["a NEAR(5, sideways) b", 11],
+      ['"open', 1]
+    ];
+    for (const [query, column] of cases)
+      assert.throws(() => parse(query), (err) => err instanceof QuerySyntaxError && err.column === column, query);
+  });
+
+  test("treats the names of object properties as words", () => {
+    assert.strictEqual(parse("constructor").toNAI(), PRE("constructor").toNAI());
+    assert.strictEqual(parse("toString and valueOf").toNAI(), AND(PRE("toString"), PRE("valueOf")).toNAI());
+    assert.throws(() => parse("cat CONSTRUCTOR dog"), QuerySyntaxError);
+  });
+});
\ No newline at end of file
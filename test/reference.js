@@ -0,0 +1,392 @@
+const { dew, is } = require("../utils");
+const matching = require("../matching");
+const building = require("../building");
+const { sampleTexts } = require("../simulation");
+
+/** @typedef {import("../simulation.types").SampleOptions} SampleOptions */
+/** @typedef {import("./reference.types").Occurrence} Occurrence */
+/** @typedef {import("./reference.types").Disagreement} Disagreement */
+/** @typedef {import("./reference.types").ComparisonResult} ComparisonResult */
+/** @typedef {import("./reference.types").SuiteReport} SuiteReport */
+/** @typedef {{ text: string, words: Array<{ start: number, end: number, word: string }> }} Sample */
+/** @typedef {Pick<TLG.Matching.OperatorNode, "operator" | "options">} OperatorDesc */
+
+/**
+ * Splits a text into its words, for the reference evaluator.
+ * 
+ * @param {string} text
+ * @returns {Sample}
+ */
+const toSample = (text) => {
+  const words = [...text.matchAll(/\w+/g)].map((match) => {
+    const start = match.index ?? 0;
+    return { start, end: start + match[0].length, word: match[0] };
+  });
+  return { text, words };
+};
+
+/**
+ * Finds where a word node matches each word of a sample.
+ * 
+ * @param {TLG.Matching.WordNode} node
+ * @param {Sample} sample
+ * @returns {Occurrence[]}
+ */
+const wordOccurrences = (node, sample) => {
+  const { mode, word, forms = [], caseSensitive } = node;
+  if (mode !== "LIT" && mode !== "PRE")
+    throw new TypeError(`The reference evaluator does not support \`${mode}\` words.`);
+
+  /** @type {(str: string) => string} */
+  const norm = (str) => caseSensitive ? str : str.toLowerCase();
+  const candidates = [word, ...forms].map(norm);
+
+  /** @type {Occurrence[]} */
+  const occurrences = [];
+  sample.words.forEach((sampleWord, index) => {
+    const text = norm(sampleWord.word);
+    for (const candidate of candidates) {
+      const isMatch = mode === "LIT" ? text === candidate : text.startsWith(candidate);
+      if (!isMatch) continue;
+      const { start } = sampleWord;
+      occurrences.push({ word: index, start, end: start + candidate.length });
+    }
+  });
+  return occurrences;
+};
+
+/**
+ * Applies a binary operator, keeping only the occurrences of the left phrase that
+ * satisfy it.  This describes what each operator is meant to do in plain terms, rather
+ * than with the lookarounds it is rendered with.
+ * 
+ * @param {OperatorDesc} operator
+ * @param {Occurrence[]} lefts
+ * @param {Occurrence[]} rights
+ * @param {Sample} sample
+ * @returns {Occurrence[]}
+ */
+const applyOperator = ({ operator, options }, lefts, rights, sample) => {
+  const { text, words } = sample;
+
+  /** @type {(from: number, to: number) => boolean} */
+  const sameLine = (from, to) => !text.slice(from, to).includes("\n");
+
+  /**
+   * Whether a right occurrence is anywhere before or after the left one.
+   * 
+   * @type {(left: Occurrence, lineOnly: boolean) => boolean}
+   */
+  const isTogether = (left, lineOnly) => rights.some((right) => {
+    if (right.start >= left.end) return !lineOnly || sameLine(left.end, right.start);
+    if (right.end <= left.start) return !lineOnly || sameLine(right.end, left.start);
+    return false;
+  });
+
+  /**
+   * Whether a right occurrence is a whole number of words away from the left one,
+   * with only the separators between them.
+   * 
+   * @type {(left: Occurrence, lo: number, hi: number, lineOnly: boolean) => boolean}
+   */
+  const isNear = (left, lo, hi, lineOnly) => rights.some((right) => {
+    /** @type {(first: Occurrence, second: Occurrence) => boolean} */
+    const check = (first, second) => {
+      if (first.end !== words[first.word].end) return false;
+      if (second.start !== words[second.word].start) return false;
+      const between = second.word - first.word - 1;
+      if (between < lo || between > hi) return false;
+      return !lineOnly || sameLine(first.end, second.start);
+    };
+    if (right.word > left.word) return check(left, right);
+    if (right.word < left.word) return check(right, left);
+    return false;
+  });
+
+  switch (operator) {
+    case "AND": return lefts.filter((left) => isTogether(left, false));
+    case "EXCLUDING": return lefts.filter((left) => !isTogether(left, false));
+    case "WITH": return lefts.filter((left) => isTogether(left, true));
+    case "WITHOUT": return lefts.filter((left) => !isTogether(left, true));
+    case "NEAR": {
+      const [lo, hi] = options.range;
+      return lefts.filter((left) => isNear(left, lo, hi, options.sameLine));
+    }
+    case "BEYOND":
+      return lefts.filter((left) => !isNear(left, 0, options.distance, options.sameLine));
+    default:
+      throw new TypeError(`The reference evaluator does not support \`${operator}\`.`);
+  }
+};
+
+/**
+ * Finds where a phrase node matches a sample, using the reference evaluator.
+ * 
+ * @param {TLG.Matching.PhraseNode} node
+ * @param {Sample} sample
+ * @returns {Occurrence[]}
+ */
+const occurrencesOf = (node, sample) => {
+  switch (node.type) {
+    case "word": return wordOccurrences(node, sample);
+    case "alt": return node.alternates.flatMap((alt) => occurrencesOf(alt, sample));
+    case "operator": {
+      if (!node.right)
+        throw new TypeError(`The reference evaluator does not support \`${node.operator}\`.`);
+      const lefts = occurrencesOf(node.left, sample);
+      const rights = occurrencesOf(node.right, sample);
+      return applyOperator(node, lefts, rights, sample);
+    }
+    default:
+      throw new TypeError(`The reference evaluator does not support \`${node.type}\` nodes.`);
+  }
+};
+
+/**
+ * Gets the unique positions where occurrences start, in order.
+ * 
+ * @param {Occurrence[]} occurrences
+ * @returns {number[]}
+ */
+const startsOf = (occurrences) =>
+  [...new Set(occurrences.map((occurrence) => occurrence.start))].sort((a, b) => a - b);
+
+/**
+ * Finds where a phrase matches a text, using a simple evaluator that works word by
+ * word, instead of a regular-expression.  This is used as a reference for what the
+ * phrase's key should match.
+ * 
+ * Only `LIT` and `PRE` words, alternatives and the `AND`, `EXCLUDING`, `WITH`, `WITHOUT`,
+ * `NEAR` and `BEYOND` operators are supported; anything else will throw a `TypeError`.
+ * 
+ * @param {TLG.Matching.Phrase} phrase
+ * @param {string} text
+ * @returns {number[]}
+ * The positions in the text where a match starts.
+ */
+exports.evaluate = (phrase, text) =>
+  startsOf(occurrencesOf(matching.asEscaped(phrase).node, toSample(text)));
+
+/**
+ * Finds every position in a text where a NovelAI key has a match starting.
+ * 
+ * @param {string} key
+ * @param {string} text
+ * @returns {number[]}
+ */
+exports.matchStarts = (key, text) => {
+  const parsed = matching.parseNaiRegex(key);
+  if (!parsed) throw new TypeError(`Only regular-expression keys can be checked: ${key}`);
+
+  const regex = new RegExp(parsed.source, `${parsed.flags}y`);
+  /** @type {number[]} */
+  const starts = [];
+  for (let i = 0; i <= text.length; i++) {
+    regex.lastIndex = i;
+    if (regex.test(text)) starts.push(i);
+  }
+  return starts;
+};
+
+/**
+ * Checks keys against the expected matches on each of the texts.
+ * 
+ * @param {string} name
+ * @param {string[]} keys
+ * @param {string[]} texts
+ * @param {(sample: Sample) => number[]} getExpected
+ * @returns {ComparisonResult}
+ */
+const compareKeys = (name, keys, texts, getExpected) => {
+  /** @type {Disagreement[]} */
+  const disagreements = [];
+  for (const text of texts) {
+    const expected = getExpected(toSample(text));
+    const actual = [...new Set(keys.flatMap((key) => exports.matchStarts(key, text)))]
+      .sort((a, b) => a - b);
+    if (expected.join() !== actual.join()) disagreements.push({ text, expected, actual });
+  }
+  return { name, keys, texts: texts.length, disagreements };
+};
+
+/**
+ * Compares the key rendered from a phrase against the reference evaluator on the
+ * given sample texts.
+ * 
+ * @param {string} name
+ * @param {TLG.Matching.Phrase} phrase
+ * @param {string[]} texts
+ * @param {Object} [options]
+ * @param {boolean} [options.optimize]
+ * Whether to check the key of the optimized phrase instead.
+ * @param {Partial<TLG.Matching.RenderOptions>} [options.render]
+ * @returns {ComparisonResult}
+ */
+exports.comparePhrase = (name, phrase, texts, options = {}) => {
+  const escaped = matching.asEscaped(phrase);
+  const key = dew(() => {
+    if (!options.optimize) return escaped.toNAI(options.render);
+    const { optimize } = require("../optimization");
+    return optimize(escaped, options.render).phrase.toNAI();
+  });
+  return compareKeys(name, [key], texts, (sample) => startsOf(occurrencesOf(escaped.node, sample)));
+};
+
+/**
+ * Gets the operator a `TLG.Matching.PhraseOperator` applies, by applying it to two
+ * placeholder words.
+ * 
+ * @param {TLG.Matching.PhraseOperator} op
+ * @returns {OperatorDesc}
+ */
+const describeOperator = (op) => {
+  const { node } = matching.asEscaped(matching.evalExp([matching.LIT("a"), op, matching.LIT("b")]));
+  if (node.type !== "operator") throw new TypeError("Expected a phrase operator.");
+  return node;
+};
+
+/**
+ * Compares the keys of every entry built from a `TLG.BuilderConfig` against the reference
+ * evaluator on the given sample texts.
+ * 
+ * The expected matches of a sub-entry are worked out from its parent's expected matches
+ * and its `baseOp`, without using the composed keys.  This checks that `subEntries` have
+ * their keys composed as documented.  Functions for `baseKeys` are not supported.
+ * 
+ * @param {TLG.BuilderConfig} config
+ * @param {string[]} texts
+ * @returns {ComparisonResult[]}
+ */
+exports.compareEntries = (config, texts) => {
+  const lorebook = building.buildEntries(config);
+
+  /** @type {ComparisonResult[]} */
+  const results = [];
+
+  /**
+   * @param {TLG.BuildableEntry} entry
+   * @param {string} name
+   * @param {((sample: Sample) => Occurrence[]) | undefined} getParent
+   * The expected matches of the parent's keys, or `undefined` if it has none.
+   * @param {TLG.Matching.PhraseOperator} parentOp
+   */
+  const visit = (entry, name, getParent, parentOp) => {
+    const { keys, baseKeys, baseOp = parentOp, subOp = baseOp, subEntries = [] } = entry;
+    if (is.function(baseKeys))
+      throw new TypeError(`Functions for \`baseKeys\` are not supported: ${name}`);
+
+    const getBase = dew(() => {
+      if (!baseKeys) return getParent;
+      if (baseKeys.length === 0) return undefined;
+      const nodes = baseKeys.map((key) => matching.asEscaped(key).node);
+      return (/** @type {Sample} */ sample) => nodes.flatMap((node) => occurrencesOf(node, sample));
+    });
+
+    const nodes = keys.map((key) => matching.asEscaped(key).node);
+    const operator = describeOperator(baseOp);
+    /** @type {((sample: Sample) => Occurrence[]) | undefined} */
+    const getOwn = dew(() => {
+      if (nodes.length === 0) return getBase;
+      /** @type {(sample: Sample) => Occurrence[]} */
+      const getKeys = (sample) => nodes.flatMap((node) => occurrencesOf(node, sample));
+      if (!getBase) return getKeys;
+      return (sample) => applyOperator(operator, getKeys(sample), getBase(sample), sample);
+    });
+
+    const built = lorebook.entries.filter((builtEntry) =>
+      builtEntry.displayName === name || builtEntry.displayName.startsWith(`${name} (1 of `)
+    );
+    if (getOwn && built.length > 0)
+      results.push(compareKeys(name, built[0].keys, texts, (sample) => startsOf(getOwn(sample))));
+
+    for (const subEntry of subEntries)
+      visit(subEntry, `${name} - ${subEntry.name}`, getOwn, subOp);
+  };
+
+  for (const entry of config.entries) visit(entry, entry.name, undefined, matching.AND);
+  return results;
+};
+
+/**
+ * Runs the built-in suite, comparing the keys rendered for each of the operators,
+ * alone and nested, and for composed `subEntries`, against the reference evaluator.
+ * 
+ * @param {Partial<SampleOptions>} [options]
+ * @returns {SuiteReport}
+ */
+exports.runSuite = (options) => {
+  const texts = sampleTexts(options);
+  const { LIT, PRE, ALT, AND, EXCLUDING, WITH, WITHOUT, NEAR, BEYOND } = matching;
+  const cat = LIT("cat");
+  const dog = PRE("dog");
+  const bird = ALT(LIT("bird"), PRE("catalog"));
+
+  /** @type {Array<[name: string, phrase: TLG.Matching.Phrase]>} */
+  const cases = [
+    ["AND", AND(cat, dog)],
+    ["EXCLUDING", EXCLUDING(cat, dog)],
+    ["WITH", WITH(cat, dog)],
+    ["WITHOUT", WITHOUT(cat, dog)],
+    ["NEAR", NEAR()(cat, dog)],
+    ["NEAR(0)", NEAR(0)(cat, dog)],
+    ["NEAR([1, 2])", NEAR([1, 2])(dog, bird)],
+    ["NEAR(2, multiline)", NEAR(2, false)(cat, dog)],
+    ["BEYOND(1)", BEYOND(1)(cat, dog)],
+    ["BEYOND(2, multiline)", BEYOND(2, false)(dog, cat)],
+    ["AND with itself", AND(cat, cat)],
+    ["WITH inside AND", AND(WITH(cat, dog), bird)],
+    ["NEAR inside EXCLUDING", EXCLUDING(bird, NEAR(1)(cat, dog))],
+    ["WITHOUT of alternatives", WITHOUT(ALT(cat, dog), ALT(bird, LIT("rook")))],
+    ["BEYOND inside WITH", WITH(BEYOND(1)(cat, dog), LIT("jasco"))]
+  ];
+
+  const results = cases.flatMap(([name, phrase]) => [
+    exports.comparePhrase(name, phrase, texts),
+    exports.comparePhrase(`${name} (optimized)`, phrase, texts, { optimize: true })
+  ]);
+
+  results.push(...exports.compareEntries({
+    entries: [{
+      name: "Rook",
+      keys: [LIT("rook")],
+      text: "Rook is an otter.",
+      subOp: WITH,
+      subEntries: [
+        {
+          name: "Cat",
+          keys: [cat, bird],
+          text: "Rook has a cat.",
+          subOp: NEAR(2),
+          subEntries: [
+            { name: "Dog", keys: [dog], text: "The cat chases dogs." },
+            { name: "Jasco", keys: [LIT("jasco")], baseOp: EXCLUDING, text: "Not in Jasco." }
+          ]
+        },
+        { name: "Anywhere", keys: [], baseKeys: [LIT("jasco")], text: "Jasco is a city." },
+        { name: "Elsewhere", keys: [dog], baseOp: BEYOND(1), text: "Dogs avoid Rook." }
+      ]
+    }]
+  }, texts));
+
+  return { results, failures: results.filter((result) => result.disagreements.length > 0) };
+};
+
+/**
+ * Formats a comparison result as text, listing a few of its disagreements.
+ * 
+ * @param {ComparisonResult} result
+ * @param {number} [limit]
+ * The most disagreements to list.
+ * @returns {string}
+ */
+exports.formatResult = (result, limit = 3) => {
+  const { name, keys, texts, disagreements } = result;
+  const status = disagreements.length === 0 ? "ok" : `${disagreements.length} of ${texts} texts disagreed`;
+  const lines = [`${name}: ${status}`];
+  if (disagreements.length === 0) return lines[0];
+
+  lines.push(...keys.map((key) => `  key: ${key}`));
+  for (const { text, expected, actual } of disagreements.slice(0, limit))
+    lines.push(`  ${JSON.stringify(text)}: expected [${expected}], but matched [${actual}]`);
+  return lines.join("\n");
+};
\ No newline at end of file
@@ -0,0 +1,67 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const matching = require("../matching");
+const { yieldChildKeys } = require("../building");
+const { sampleTexts } = require("../simulation");
+const reference = require("./reference");
+
+const { LIT, PRE, ALT, AND, WITH, NEAR, EXCLUDING } = matching;
+
+/**
+ * Renders phrases to the keys they would have in a `NAI.LoreEntry`.
+ * 
+ * @param {Iterable<TLG.Matching.Phrase>} phrases
+ * @returns {string[]}
+ */
+const toKeys = (phrases) => [...phrases].map((phrase) => matching.asEscaped(phrase).toNAI());
+
+test("the keys of every operator agree with the reference evaluator", () => {
+  const { results, failures } = reference.runSuite();
+  assert.ok(results.length > 0);
+  assert.deepStrictEqual(failures.map((result) => result.name), [], failures.map((result) => reference.formatResult(result)).join("\n"));
+});
+
+describe("yieldChildKeys", () => {
+  const texts = sampleTexts();
+  const cat = LIT("cat");
+  const dog = PRE("dog");
+  const bird = LIT("bird");
+  const rook = LIT("rook");
+
+  test("yields the child keys when there are no parent keys", () => {
+    assert.deepStrictEqual(toKeys(yieldChildKeys([], AND, [cat, dog])), toKeys([cat, dog]));
+    assert.deepStrictEqual(toKeys(yieldChildKeys(undefined, AND, [cat])), toKeys([cat]));
+  });
+
+  test("yields the parent keys when there are no child keys", () => {
+    assert.deepStrictEqual(toKeys(yieldChildKeys([cat, dog], WITH, [])), toKeys([cat, dog]));
+  });
+
+  test("applies the operator to each child key and the parent key", () => {
+    const composed = [...yieldChildKeys([rook], NEAR(2), [cat, dog])];
+    assert.deepStrictEqual(toKeys(composed), toKeys([NEAR(2)(cat, rook), NEAR(2)(dog, rook)]));
+  });
+
+  test("applies the operator to each child key and all of the parent keys", () => {
+    const composed = [...yieldChildKeys([rook, bird], EXCLUDING, [cat, dog])];
+    assert.deepStrictEqual(toKeys(composed), toKeys([EXCLUDING(cat, ALT(rook, bird)), EXCLUDING(dog, ALT(rook, bird))]));
+  });
+
+  test("composes keys that agree with the reference evaluator", () => {
+    /** @type {Array<[name: string, parentKeys: TLG.Matching.Phrase[], subOp: TLG.Matching.PhraseOperator]>} */
+    const cases = [
+      ["AND", [rook], AND],
+      ["WITH", [rook, bird], WITH],
+      ["NEAR(1)", [rook, bird], NEAR(1)],
+      ["EXCLUDING", [rook], EXCLUDING],
+      ["WITH of composed keys", [...yieldChildKeys([rook], AND, [bird])], WITH]
+    ];
+
+    for (const [name, parentKeys, subOp] of cases) {
+      [...yieldChildKeys(parentKeys, subOp, [cat, dog])].forEach((phrase, i) => {
+        const result = reference.comparePhrase(`${name} [${i}]`, phrase, texts);
+        assert.deepStrictEqual(result.disagreements, [], reference.formatResult(result));
+      });
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+export interface Occurrence {
+  /** The position of the word the match starts in. */
+  word: number;
+
+  /** The position of the match in the text. */
+  start: number;
+
+  /** The position just after the match in the text. */
+  end: number;
+}
+
+export interface Disagreement {
+  /** The sample text the evaluators disagreed on. */
+  text: string;
+
+  /** The positions where the reference evaluator found a match starting. */
+  expected: number[];
+
+  /** The positions where the key's regular-expression found a match starting. */
+  actual: number[];
+}
+
+export interface ComparisonResult {
+  /** A name for what was compared. */
+  name: string;
+
+  /** The keys that were checked, as they appear in a `NAI.LoreEntry`. */
+  keys: string[];
+
+  /** The number of texts that were checked. */
+  texts: number;
+
+  /** The texts where the keys did not match as the reference evaluator did. */
+  disagreements: Disagreement[];
+}
+
+export interface SuiteReport {
+  /** The results of every comparison in the suite. */
+  results: ComparisonResult[];
+
+  /** Only the results that had disagreements. */
+  failures: ComparisonResult[];
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { buildEntries } = require("../building");
+const { LIT } = require("../matching");
+const { activate, assemble } = require("../simulation");
+const { Fixed } = require("../strategies/fixed");
+
+/** @typedef {import("../simulation.types").ContextResult} ContextResult */
+
+/**
+ * Options for `assemble` that count every character as a token, so budgets are easy to
+ * work out, and that insert the story first.
+ * 
+ * @type {Partial<import("../simulation.types").ContextOptions>}
+ */
+const storyFirst = { countTokens: (text) => text.length, story: { budgetPriority: 1000 } };
+
+/**
+ * Builds a lorebook with a single entry for "rook", giving it the context settings.
+ * 
+ * @param {string} text
+ * @param {Partial<NAI.ContextConfig>} context
+ * @returns {NAI.LoreBook}
+ */
+const rookLorebook = (text, context) => buildEntries({
+  entries: [{ name: "Rook", keys: [LIT("rook")], text, strategy: Fixed({ context: { suffix: "", ...context } }) }]
+});
+
+describe("activate", () => {
+  const lorebook = buildEntries({
+    entries: [
+      { name: "Rook", keys: [LIT("rook")], text: "Rook is an otter." },
+      { name: "Far", keys: [LIT("far")], text: "Far away.", strategy: Fixed({ entry: { searchRange: 10 } }) },
+      { name: "Off", keys: [LIT("rook")], text: "Never seen.", strategy: Fixed({ entry: { enabled: false } }) },
+      { name: "Always", keys: [], text: "Always there." },
+      { name: "Otters", keys: [LIT("otter")], text: "Otters eat fish.", strategy: Fixed({ entry: { nonStoryActivatable: true } }) },
+      { name: "Fish", keys: [LIT("fish")], text: "Fish swim.", strategy: Fixed({ entry: { nonStoryActivatable: true } }) }
+    ]
+  });
+  const story = "The far shore. Rook swam.";
+
+  test("activates the entries whose keys match within their search range", () => {
+    const { results } = activate(lorebook, story, { cascade: false });
+    assert.deepStrictEqual(results.map((result) => [result.entry.displayName, result.reason]), [
+      ["Rook", "story"],
+      ["Far", "unmatched"],
+      ["Off", "disabled"],
+      ["Always", "forced"],
+      ["Otters", "unmatched"],
+      ["Fish", "unmatched"]
+    ]);
+    assert.strictEqual(results[0].keyIndex, story.indexOf("Rook"));
+  });
+
+  test("cascades through the text of activated entries", () => {
+    const { results, activated } = activate(lorebook, story);
+    assert.deepStrictEqual(activated.map((entry) => entry.displayName), ["Rook", "Always", "Otters", "Fish"]);
+    assert.deepStrictEqual(results[4].matches.map((match) => match.viaEntry), ["Rook"]);
+    assert.deepStrictEqual(results[5].matches.map((match) => match.viaEntry), ["Otters"]);
+  });
+});
+
+describe("assemble", () => {
+  test("trims text by the coarsest unit it can", () => {
+    const lorebook = rookLorebook("Rook swims. Rook eats fish. Rook sleeps.", { tokenBudget: 30 });
+    const { results } = assemble(lorebook, "rook", storyFirst);
+    assert.deepStrictEqual(results.map((result) => [result.status, result.text]), [
+      ["inserted", "rook"],
+      ["trimmed", "Rook swims. Rook eats fish. "]
+    ]);
+  });
+
+  test("trims from the top, but no finer than allowed", () => {
+    const text = "Rook swims far. Rook eats fish.";
+    /** @type {(context: Partial<NAI.ContextConfig>) => ContextResult} */
+    const resultFor = (context) => assemble(rookLorebook(text, context), "rook", storyFirst).results[1];
+    assert.strictEqual(resultFor({ tokenBudget: 10, trimDirection: "trimTop", maximumTrimType: "token" }).text, "eats fish.");
+    assert.strictEqual(resultFor({ tokenBudget: 10, trimDirection: "trimTop" }).status, "dropped");
+    assert.strictEqual(resultFor({ tokenBudget: 20, trimDirection: "doNotTrim" }).status, "dropped");
+  });
+
+  test("inserts text at its position in the context", () => {
+    const story = "One rook.\nTwo.\nThree.";
+    /** @type {(text: string, context: Partial<NAI.ContextConfig>, story: string) => string} */
+    const contextFor = (text, context, story) => assemble(rookLorebook(text, context), story, storyFirst).context;
+    assert.strictEqual(contextFor("[Rook]\n", { insertionPosition: 1 }, story), "One rook.\n[Rook]\nTwo.\nThree.");
+    assert.strictEqual(contextFor("[Rook]\n", { insertionPosition: -2 }, story), "One rook.\nTwo.\n[Rook]\nThree.");
+    /** @type {Partial<NAI.ContextConfig>} */
+    const bySentence = { insertionPosition: 1, insertionType: "sentence" };
+    assert.strictEqual(contextFor("[Rook] ", bySentence, "Rook swam. It ate."), "Rook swam. [Rook] It ate.");
+  });
+
+  describe("with several entries", () => {
+    /** @type {(low: Partial<NAI.ContextConfig>) => NAI.LoreBook} */
+    const lorebookFor = (low) => buildEntries({
+      entries: [
+        { name: "Low", keys: [LIT("rook")], text: "Low.", strategy: Fixed({ context: { budgetPriority: 100, ...low } }) },
+        { name: "High", keys: [LIT("rook")], text: "High.", strategy: Fixed({ context: { budgetPriority: 500, suffix: "" } }) }
+      ]
+    });
+    /** @type {(report: import("../simulation.types").ContextReport) => string[][]} */
+    const statusesOf = (report) => report.results.map((result) => [result.displayName, result.status]);
+
+    test("inserts entries by their budget priority, with their prefix and suffix", () => {
+      const report = assemble(lorebookFor({ prefix: "<", suffix: ">" }), "rook", { ...storyFirst, contextSize: 100 });
+      assert.strictEqual(report.context, "rookHigh.<Low.>");
+      assert.deepStrictEqual(statusesOf(report), [["Story", "inserted"], ["High", "inserted"], ["Low", "inserted"]]);
+    });
+
+    test("drops entries that do not fit in what remains of the context", () => {
+      const report = assemble(lorebookFor({ suffix: "" }), "rook", { ...storyFirst, contextSize: 10 });
+      assert.strictEqual(report.context, "rookHigh.");
+      assert.deepStrictEqual(statusesOf(report), [["Story", "inserted"], ["High", "inserted"], ["Low", "dropped"]]);
+    });
+
+    test("keeps the tokens an entry reserved for it", () => {
+      const report = assemble(lorebookFor({ suffix: "", reservedTokens: 4 }), "rook", { ...storyFirst, contextSize: 12 });
+      assert.strictEqual(report.context, "rookLow.");
+      assert.deepStrictEqual(statusesOf(report), [["Story", "inserted"], ["High", "dropped"], ["Low", "inserted"]]);
+      assert.strictEqual(report.results[2].reserved, 4);
+    });
+  });
+
+  test("inserts key-relative entries next to the key that activated them", () => {
+    const lorebook = buildEntries({
+      entries: [{
+        name: "Rook",
+        keys: [LIT("rook")],
+        text: "[Rook]\n",
+        strategy: Fixed({ entry: { keyRelative: true }, context: { suffix: "", insertionPosition: 0 } })
+      }]
+    });
+    const report = assemble(lorebook, "One.\nThe rook swam.\nThree.", storyFirst);
+    assert.strictEqual(report.context, "One.\nThe rook swam.\n[Rook]\nThree.");
+    assert.strictEqual(report.results[1].keyRelative, true);
+  });
+});
\ No newline at end of file
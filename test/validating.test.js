@@ -0,0 +1,73 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert");
+const { buildEntries } = require("../building");
+const { LIT } = require("../matching");
+const { Fixed } = require("../strategies/fixed");
+const { ConfigError, validateConfig } = require("../validating");
+
+/**
+ * Validates a configuration with the given entries, giving back only the paths.
+ * 
+ * @param {any[]} entries
+ * @param {any} [settings]
+ * @returns {string[]}
+ */
+const pathsOf = (entries, settings) => {
+  /** @type {any} */
+  const config = settings ? { settings, entries } : { entries };
+  return validateConfig(config).map((problem) => problem.path);
+};
+
+describe("validateConfig", () => {
+  test("gives the path to each problem", () => {
+    const entries = [
+      { name: "Rook", keys: [LIT("rook")] },
+      { name: "Otter", keys: [LIT("otter")] },
+      {
+        name: "Character: Rook",
+        keys: [LIT("rook")],
+        subEntries: [{ name: "Interest", keys: [LIT("fish"), 3] }]
+      }
+    ];
+    assert.deepStrictEqual(pathsOf(entries), ['entries[2] "Character: Rook" > subEntries[0] "Interest" > keys[1]']);
+  });
+
+  test("separates every property in a path the same way", () => {
+    const entries = [{
+      name: "Rook",
+      keys: [LIT("rook")],
+      strategy: Fixed({ context: /** @type {any} */ ({ prefx: "" }) }),
+      category: { name: "Otters", subcontext: { sufix: "" } },
+      bias: [{ phrases: ["fish"], strength: "high" }]
+    }];
+    assert.deepStrictEqual(pathsOf(entries, { lorebookVersion: 4, unicod: true }), [
+      "settings > unicod",
+      'entries[0] "Rook" > strategy > context > prefx',
+      'entries[0] "Rook" > category > subcontext > sufix',
+      'entries[0] "Rook" > bias[0] > strength'
+    ]);
+  });
+
+  test("checks the ranges of settings", () => {
+    /** @type {any} */
+    const context = { tokenBudget: 1.5, reservedTokens: -1, insertionPosition: 0.5, trimDirection: "trimLeft" };
+    const strategy = Fixed({ context, entry: { searchRange: -1 } });
+    const paths = validateConfig({ entries: [{ name: "Rook", keys: [LIT("rook")], strategy }] })
+      .map((problem) => problem.path.replace('entries[0] "Rook" > strategy > ', ""));
+    assert.deepStrictEqual(paths, [
+      "context > tokenBudget",
+      "context > reservedTokens",
+      "context > insertionPosition",
+      "context > trimDirection",
+      "entry > searchRange"
+    ]);
+    assert.deepStrictEqual(pathsOf([], { lorebookVersion: 5 }), ["settings > lorebookVersion"]);
+  });
+
+  test("reports bias groups the lorebook version cannot hold", () => {
+    const entries = [{ name: "Rook", keys: [LIT("rook")], bias: [{ phrases: ["fish"], strength: 0.1 }] }];
+    assert.deepStrictEqual(pathsOf(entries, { lorebookVersion: 3 }), ['entries[0] "Rook" > bias']);
+    assert.deepStrictEqual(pathsOf(entries, { lorebookVersion: 4 }), []);
+    assert.throws(() => buildEntries({ entries }), ConfigError);
+  });
+});
\ No newline at end of file
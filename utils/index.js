@@ -58,6 +58,18 @@ exports.dropUndefProps = (obj) => {
   return result;
 };
 
+/**
+ * Gets a property of an object by name, but only if the object has it itself, so names
+ * like `constructor` and `toString` are not found on its prototype.
+ * 
+ * @template T
+ * @param {Record<string, T>} obj
+ * @param {string} key
+ * @returns {T | undefined}
+ */
+exports.getOwn = (obj, key) =>
+  Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined;
+
 /** Helpers for type-guards. */
 exports.is = {
   /** @type {TLG.TypePredicate<Function>} */
@@ -122,6 +134,32 @@ exports.deepMerge = exports.dew(() => {
   return innerFn;
 });
 
+/** The namespace the ids from `stableId` are created in. */
+const idNamespace = "5e1a4c2b-8f3d-4b7e-9a61-0c2d7f4e8b93";
+
+/**
+ * Creates an id in the form of a UUID that is always the same for the same `parts`,
+ * so that things built from the same source keep their id between builds.  This is
+ * a version 5 UUID, derived from a SHA-1 hash of the parts.
+ * 
+ * @param {...string} parts
+ * @returns {string}
+ */
+exports.stableId = (...parts) => {
+  const crypto = require("crypto");
+  const hash = crypto.createHash("sha1")
+    .update(Buffer.from(idNamespace.replace(/-/g, ""), "hex"))
+    .update(parts.join("\0"))
+    .digest();
+
+  // Set the version and variant bits.
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = hash.subarray(0, 16).toString("hex");
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join("-");
+};
+
 /**
  * Extracts a name from a file path.  Pass in `__filename` to get the nam
  * 
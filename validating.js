@@ -0,0 +1,474 @@
+const { dew, is, getOwn } = require("./utils");
+const matching = require("./matching");
+
+/** @typedef {import("./validating.types").ValidationProblem} ValidationProblem */
+/** @typedef {import("./validating.types").ValueCheck} ValueCheck */
+/** @typedef {(path: string, message: string) => void} Report */
+
+/**
+ * An error thrown by `buildEntries` when its configuration has problems.  The
+ * `problems` property lists every one that was found.
+ */
+class ConfigError extends TypeError {
+  /**
+   * @param {ValidationProblem[]} problems
+   */
+  constructor(problems) {
+    const count = problems.length === 1 ? "a problem" : `${problems.length} problems`;
+    const lines = problems.map((problem) => `  ${exports.formatProblem(problem)}`);
+    super([`The builder configuration has ${count}:`, ...lines].join("\n"));
+    this.name = "ConfigError";
+    /** The problems that were found. */
+    this.problems = problems;
+  }
+}
+
+exports.ConfigError = ConfigError;
+
+/** @type {(check: (value: any) => boolean, expected: string) => ValueCheck} */
+const expect = (check, expected) => (value) => check(value) ? undefined : `must be ${expected}, but was ${describe(value)}`;
+
+/** @type {(...values: string[]) => ValueCheck} */
+const oneOf = (...values) => expect(
+  (value) => values.includes(value),
+  `one of ${values.map((value) => JSON.stringify(value)).join(", ")}`
+);
+
+const isBoolean = expect((value) => typeof value === "boolean", "`true` or `false`");
+const isString = expect(is.string, "a string");
+const isInteger = expect(Number.isInteger, "a whole number");
+const isCount = expect((value) => Number.isInteger(value) && value >= 0, "a whole number of `0` or more");
+const isFiniteNumber = expect(Number.isFinite, "a number");
+
+/**
+ * The checks for each setting of a `NAI.ContextConfig`.
+ * 
+ * @type {Record<keyof NAI.ContextConfig, ValueCheck>}
+ */
+const contextChecks = {
+  prefix: isString,
+  suffix: isString,
+  // NovelAI reads a budget of `1` or less as a fraction of the context.
+  tokenBudget: expect(
+    (value) => Number.isFinite(value) && value > 0 && (value <= 1 || Number.isInteger(value)),
+    "a whole number of tokens, or a fraction of the context from `0` to `1`"
+  ),
+  reservedTokens: expect(
+    (value) => Number.isFinite(value) && value >= 0 && (value <= 1 || Number.isInteger(value)),
+    "a whole number of tokens, or a fraction of the context from `0` to `1`"
+  ),
+  budgetPriority: isFiniteNumber,
+  trimDirection: oneOf("trimBottom", "trimTop", "doNotTrim"),
+  insertionType: oneOf("newline", "sentence", "token"),
+  maximumTrimType: oneOf("newline", "sentence", "token"),
+  insertionPosition: isInteger
+};
+
+/**
+ * The checks for each setting of a `NAI.LoreEntryConfig`.
+ * 
+ * @type {Record<keyof NAI.LoreEntryConfig, ValueCheck>}
+ */
+const entryChecks = {
+  searchRange: isCount,
+  enabled: isBoolean,
+  forceActivation: isBoolean,
+  keyRelative: isBoolean,
+  nonStoryActivatable: isBoolean
+};
+
+/**
+ * The checks for each of the `settings` of a `TLG.BuilderConfig`.
+ * 
+ * @type {Record<keyof NAI.LoreBookConfig | keyof TLG.BuilderSettings, ValueCheck>}
+ */
+const settingsChecks = {
+  orderByKeyLocations: isBoolean,
+  reversedTextIteration: isBoolean,
+  optimizeKeys: isBoolean,
+  lint: expect((value) => typeof value === "boolean" || is.pojo(value), "`true`, `false` or the options for linting"),
+  unicode: isBoolean,
+  inlineModifiers: isBoolean,
+  lorebookVersion: (value) => {
+    const { latestLorebookVersion } = require("./building");
+    const isVersion = Number.isInteger(value) && Number(value) >= 2 && Number(value) <= latestLorebookVersion;
+    if (isVersion) return undefined;
+    return `must be a version of the lorebook format from \`2\` to \`${latestLorebookVersion}\`, but was ${describe(value)}`;
+  }
+};
+
+/** The properties a `TLG.BuildableEntry` can have. */
+const entryProps = new Set([
+  "name", "id", "strategy", "subOp", "category",
+  "baseKeys", "baseOp", "keys", "baseBias", "bias", "text", "subEntries"
+]);
+
+/** The version of the lorebook format that is built when none is given. */
+const defaultLorebookVersion = 2;
+
+/** The first version of the lorebook format that can hold bias groups. */
+const biasGroupsVersion = 4;
+
+/** The properties a `TLG.BiasGroup` can have. */
+const biasGroupProps = new Set(["phrases", "strength", "whenInactive", "ensureSequenceFinish"]);
+
+/**
+ * Describes a value for a message, briefly.
+ * 
+ * @param {unknown} value
+ * @returns {string}
+ */
+const describe = (value) => {
+  if (value === undefined) return "missing";
+  if (value === null) return "`null`";
+  if (is.array(value)) return "an array";
+  if (is.function(value)) return "a function";
+  if (is.object(value)) return "an object";
+  const shown = JSON.stringify(value);
+  return shown.length > 40 ? `${typeof value} \`${shown.slice(0, 37)}...\`` : `\`${shown}\``;
+};
+
+/**
+ * Counts the single-character edits needed to turn one string into another.
+ * 
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Describes a property that is not known, suggesting the known one it is closest to,
+ * if it is likely to be a typo.
+ * 
+ * @param {string} what
+ * What the property is not a part of, like "a context".
+ * @param {Iterable<string>} known
+ * @param {string} prop
+ * @returns {string}
+ */
+const unknownProp = (what, known, prop) => {
+  const [closest] = [...known]
+    .map((name) => ({ name, distance: editDistance(prop, name) }))
+    .filter(({ distance }) => distance <= Math.max(1, Math.floor(prop.length / 4)))
+    .sort((a, b) => a.distance - b.distance);
+  const hint = closest ? `; did you mean \`${closest.name}\`?` : "";
+  return `is not a property of ${what}${hint}`;
+};
+
+/**
+ * Joins a property onto a path.
+ * 
+ * @param {string} path
+ * @param {string} segment
+ * @returns {string}
+ */
+const joinPath = (path, segment) => {
+  if (!path) return segment;
+  return segment.startsWith("[") ? `${path}${segment}` : `${path} > ${segment}`;
+};
+
+/**
+ * Checks an object against a check for each of its properties.  Every property is
+ * optional, but unknown ones are reported.
+ * 
+ * @param {unknown} obj
+ * @param {Record<string, ValueCheck>} checks
+ * @param {string} what
+ * @param {string} path
+ * @param {Report} report
+ * @returns {void}
+ */
+const checkSettings = (obj, checks, what, path, report) => {
+  if (!is.pojo(obj)) return report(path, `must be an object, but was ${describe(obj)}`);
+  for (const [prop, value] of Object.entries(obj)) {
+    const subPath = joinPath(path, prop);
+    const check = getOwn(checks, prop);
+    if (!check) report(subPath, unknownProp(what, Object.keys(checks), prop));
+    else if (value !== undefined) {
+      const problem = check(value);
+      if (problem) report(subPath, problem);
+    }
+  }
+};
+
+/**
+ * Checks that a value is a phrase that can be used as a key.
+ * 
+ * @param {unknown} value
+ * @param {string} path
+ * @param {Report} report
+ * @returns {void}
+ */
+const checkPhrase = (value, path, report) => {
+  if (is.string(value)) {
+    if (value.length === 0) report(path, "must not be an empty string");
+    return;
+  }
+  if (value instanceof RegExp || matching.isEscaped(value)) return;
+  if (is.array(value) && value.length === 3) {
+    const [left, op, right] = value;
+    if (!is.function(op)) report(`${path}[1]`, `must be an operator, like \`AND\`, but was ${describe(op)}`);
+    checkPhrase(left, `${path}[0]`, report);
+    checkPhrase(right, `${path}[2]`, report);
+    return;
+  }
+  report(path, `must be a phrase, like a string or \`LIT("word")\`, but was ${describe(value)}`);
+};
+
+/**
+ * Checks a list of phrases.
+ * 
+ * @param {unknown} value
+ * @param {string} path
+ * @param {Report} report
+ * @returns {void}
+ */
+const checkPhrases = (value, path, report) => {
+  if (!is.array(value)) return report(path, `must be an array of phrases, but was ${describe(value)}`);
+  value.forEach((phrase, i) => checkPhrase(phrase, `${path}[${i}]`, report));
+};
+
+/**
+ * Checks a `TLG.Category`.
+ * 
+ * @param {unknown} value
+ * @param {string} path
+ * @param {Report} report
+ * @returns {void}
+ */
+const checkCategory = (value, path, report) => {
+  if (is.string(value)) {
+    if (value.length === 0) report(path, "must not be an empty string");
+    return;
+  }
+  if (!is.pojo(value)) return report(path, `must be the name of a category or its settings, but was ${describe(value)}`);
+
+  /** @type {Record<string, any>} */
+  const config = value;
+  for (const [prop, propValue] of Object.entries(config)) {
+    const subPath = joinPath(path, prop);
+    switch (prop) {
+      case "name": {
+        const problem = isString(propValue);
+        if (problem) report(subPath, problem);
+        else if (propValue.length === 0) report(subPath, "must not be an empty string");
+        break;
+      }
+      case "enabled": {
+        const problem = isBoolean(propValue);
+        if (problem) report(subPath, problem);
+        break;
+      }
+      case "subcontext":
+        checkSettings(propValue, contextChecks, "a context", subPath, report);
+        break;
+      default:
+        report(subPath, unknownProp("a category", ["name", "enabled", "subcontext"], prop));
+    }
+  }
+  if (!("name" in config)) report(joinPath(path, "name"), "must be given");
+};
+
+/**
+ * Checks a strategy, along with the `context`, `entry` and `category` in its
+ * configuration.
+ * 
+ * @param {unknown} value
+ * @param {string} path
+ * @param {Report} report
+ * @returns {void}
+ */
+const checkStrategy = (value, path, report) => {
+  /** @type {Record<string, any>} */
+  const given = is.object(value) ? value : {};
+  const isStrategy = is.string(given.type)
+    && ["apply", "extend", "context", "entry"].every((method) => is.function(given[method]));
+  if (!isStrategy) return report(path, `must be a strategy, like \`Fixed({})\`, but was ${describe(value)}`);
+
+  if (!is.pojo(given.config)) return;
+  const { config } = given;
+  if (config.context !== undefined) checkSettings(config.context, contextChecks, "a context", joinPath(path, "context"), report);
+  if (config.entry !== undefined) checkSettings(config.entry, entryChecks, "an entry", joinPath(path, "entry"), report);
+  if (config.category !== undefined) checkCategory(config.category, joinPath(path, "category"), report);
+};
+
+/**
+ * Checks a value that must be a function, such as an operator.
+ * 
+ * @param {unknown} value
+ * @param {string} expected
+ * @param {string} path
+ * @param {Report} report
+ * @returns {void}
+ */
+const checkFunction = (value, expected, path, report) => {
+  if (!is.function(value)) report(path, `must be ${expected}, but was ${describe(value)}`);
+};
+
+/**
+ * Checks a list of `TLG.BiasGroup`.
+ * 
+ * @param {unknown} value
+ * @param {string} path
+ * @param {Report} report
+ * @returns {void}
+ */
+const checkBias = (value, path, report) => {
+  if (!is.array(value)) return report(path, `must be an array of bias groups, but was ${describe(value)}`);
+  value.forEach((group, i) => {
+    const groupPath = `${path}[${i}]`;
+    if (!is.pojo(group)) return report(groupPath, `must be a bias group, but was ${describe(group)}`);
+
+    for (const prop of Object.keys(group))
+      if (!biasGroupProps.has(prop)) report(joinPath(groupPath, prop), unknownProp("a bias group", biasGroupProps, prop));
+
+    const phrasesPath = joinPath(groupPath, "phrases");
+    if (!is.array(group.phrases)) report(phrasesPath, `must be an array of phrases, but was ${describe(group.phrases)}`);
+    else group.phrases.forEach((/** @type {unknown} */ phrase, /** @type {number} */ j) => {
+      const phrasePath = `${phrasesPath}[${j}]`;
+      /** @type {string[]} */
+      const problems = [];
+      checkPhrase(phrase, phrasePath, (_, message) => problems.push(message));
+      if (problems.length > 0) return problems.forEach((message) => report(phrasePath, message));
+      const literals = matching.literalsOf(/** @type {TLG.Matching.Phrase} */ (phrase));
+      if (!literals) report(phrasePath, "must be made only of words, like `LIT`, `WORD` or `ALT` of them");
+    });
+
+    const strengthProblem = isFiniteNumber(group.strength);
+    if (strengthProblem) report(joinPath(groupPath, "strength"), strengthProblem);
+    for (const prop of ["whenInactive", "ensureSequenceFinish"]) {
+      if (group[prop] === undefined) continue;
+      const problem = isBoolean(group[prop]);
+      if (problem) report(joinPath(groupPath, prop), problem);
+    }
+  });
+};
+
+/**
+ * Checks an entry and its sub-entries.
+ * 
+ * @param {unknown} entry
+ * @param {number} lorebookVersion
+ * The version of the lorebook format that will be built.
+ * @param {string} path
+ * The path to the entry, without its name.
+ * @param {Report} report
+ * @returns {void}
+ */
+const checkEntry = (entry, lorebookVersion, path, report) => {
+  if (!is.pojo(entry)) return report(path, `must be an entry, but was ${describe(entry)}`);
+
+  /** @type {Record<string, any>} */
+  const given = entry;
+  const entryPath = is.string(given.name) ? `${path} ${JSON.stringify(given.name)}` : path;
+  /** @type {(prop: string) => string} */
+  const at = (prop) => joinPath(entryPath, prop);
+
+  for (const prop of Object.keys(given))
+    if (!entryProps.has(prop)) report(at(prop), unknownProp("an entry", entryProps, prop));
+
+  const nameProblem = isString(given.name);
+  if (nameProblem) report(at("name"), nameProblem);
+  else if (given.name.length === 0) report(at("name"), "must not be an empty string");
+
+  if (given.id !== undefined) {
+    const problem = isString(given.id);
+    if (problem) report(at("id"), problem);
+  }
+
+  if (given.strategy !== undefined) checkStrategy(given.strategy, at("strategy"), report);
+  if (given.category !== undefined) checkCategory(given.category, at("category"), report);
+  for (const prop of ["subOp", "baseOp"])
+    if (given[prop] !== undefined) checkFunction(given[prop], "an operator, like `AND`", at(prop), report);
+
+  checkPhrases(given.keys, at("keys"), report);
+  if (given.baseKeys !== undefined && !is.function(given.baseKeys))
+    checkPhrases(given.baseKeys, at("baseKeys"), report);
+
+  for (const prop of ["bias", "baseBias"]) {
+    const groups = given[prop];
+    if (groups === undefined || is.function(groups)) continue;
+    checkBias(groups, at(prop), report);
+    if (is.array(groups) && groups.length > 0 && lorebookVersion < biasGroupsVersion)
+      report(at(prop), `needs a \`lorebookVersion\` of ${biasGroupsVersion} or later in the \`settings\`, but it is ${lorebookVersion}`);
+  }
+
+  const { text } = given;
+  if (is.array(text)) text.forEach((item, i) => {
+    const problem = isString(item);
+    if (problem) report(at(`text[${i}]`), problem);
+  });
+  else if (text !== undefined && !is.string(text))
+    report(at("text"), `must be a string or an array of them, but was ${describe(text)}`);
+
+  const { subEntries } = given;
+  if (is.array(subEntries)) subEntries.forEach((subEntry, i) => checkEntry(subEntry, lorebookVersion, at(`subEntries[${i}]`), report));
+  else if (subEntries !== undefined)
+    report(at("subEntries"), `must be an array of entries, but was ${describe(subEntries)}`);
+};
+
+/**
+ * Checks a whole `TLG.BuilderConfig`, including every entry, for values that cannot be
+ * built or that NovelAI will not accept, such as a missing `keys` array, a `text` that
+ * is not a string or a typo in the name of a setting.  `buildEntries` does this before
+ * building anything.
+ * 
+ * Every problem found is returned, each with the path to where it is, like
+ * `entries[2] "Character: Rook" > subEntries[0] "Interest" > keys[1]`.
+ * 
+ * @param {TLG.BuilderConfig} config
+ * @returns {ValidationProblem[]}
+ */
+exports.validateConfig = (config) => {
+  /** @type {ValidationProblem[]} */
+  const problems = [];
+  /** @type {Report} */
+  const report = (path, message) => { problems.push({ path, message }); };
+
+  if (!is.pojo(config)) {
+    report("config", `must be an object, but was ${describe(config)}`);
+    return problems;
+  }
+
+  /** @type {Record<string, any>} */
+  const given = config;
+  for (const prop of Object.keys(given)) {
+    switch (prop) {
+      case "strategy": checkStrategy(given.strategy, "strategy", report); break;
+      case "category": checkCategory(given.category, "category", report); break;
+      case "settings": checkSettings(given.settings, settingsChecks, "the lorebook", "settings", report); break;
+      case "entries": break;
+      default: report(prop, unknownProp("the builder", ["strategy", "category", "settings", "entries"], prop));
+    }
+  }
+
+  // The version is only used for the bias groups of entries; a bad one is reported above.
+  const lorebookVersion = dew(() => {
+    const version = is.pojo(given.settings) ? given.settings.lorebookVersion : undefined;
+    return Number.isInteger(version) ? Number(version) : defaultLorebookVersion;
+  });
+  if (!is.array(given.entries)) report("entries", `must be an array of entries, but was ${describe(given.entries)}`);
+  else given.entries.forEach((entry, i) => checkEntry(entry, lorebookVersion, `entries[${i}]`, report));
+
+  return problems;
+};
+
+/**
+ * Formats a problem as a single line of text.
+ * 
+ * @param {ValidationProblem} problem
+ * @returns {string}
+ */
+exports.formatProblem = (problem) => `${problem.path}: ${problem.message}`;
\ No newline at end of file
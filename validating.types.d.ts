@@ -0,0 +1,16 @@
+export interface ValidationProblem {
+  /**
+   * Where the problem is in the `TLG.BuilderConfig`, like
+   * `entries[2] "Character: Rook" > subEntries[0] "Interest" > keys[1]`.
+   */
+  path: string;
+
+  /** A description of the problem. */
+  message: string;
+}
+
+/**
+ * Checks a value, returning a description of what is wrong with it, or `undefined` if
+ * it is fine.
+ */
+export type ValueCheck = (value: unknown) => string | undefined;
\ No newline at end of file